@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command line entry point of brace-rules.
+ * @author Joshua Searles
+ */
+"use strict";
+
+process.exitCode = require("../lib/cli").execute(process.argv.slice(2));
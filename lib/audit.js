@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Summarizes the reports of the audit mode of brace-on-same-line
+ * across the files of a lint run, for the brace-audit formatters.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var path = require("path"),
+    _ = require("lodash"),
+    braceOptions = require("./utils/brace-options");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+// the counts the audit messages of brace-on-same-line add to, by messageId
+var COUNTS_BY_MESSAGE_ID = {
+    auditSameLine: "sameLine",
+    auditNextLine: "nextLine",
+    auditSingleLine: "singleLine",
+    auditCuddled: "cuddled",
+    auditNotCuddled: "notCuddled"
+};
+
+// the same messages, matched by their text on ESLint before 4.15, which
+// gives no messageId
+var PATTERNS = [
+    { pattern: /^Audit: opening brace of (\w+) on the same line\.$/, count: "sameLine" },
+    { pattern: /^Audit: opening brace of (\w+) on the next line\.$/, count: "nextLine" },
+    { pattern: /^Audit: (\w+) block on a single line\.$/, count: "singleLine" },
+    { pattern: /^Audit: '\w+' of (\w+) cuddled\.$/, count: "cuddled" },
+    { pattern: /^Audit: '\w+' of (\w+) not cuddled\.$/, count: "notCuddled" }
+];
+
+var FIXES_PATTERN = /^Audit: fixes per preset .*\.$/;
+
+var COUNTS = ["sameLine", "nextLine", "singleLine", "cuddled", "notCuddled"];
+
+/**
+ * Determines if a message comes from brace-on-same-line, whatever name the
+ * plugin was loaded under.
+ * @param {Object} message The message.
+ * @returns {boolean} True if the rule reported the message.
+ * @private
+ */
+function isFromRule(message) {
+    return typeof message.ruleId === "string" && /(^|\/)brace-on-same-line$/.test(message.ruleId);
+}
+
+/**
+ * Reads an audit message: either the count a brace adds to and its block
+ * type, or the fixes of each preset, which are the `name=count` pairs of its
+ * data.
+ * @param {Object} message The message.
+ * @returns {?Object} The `count` and `type`, or the `fixes` keyed by preset,
+ *      or null if the message is not from the audit.
+ * @private
+ */
+function readMessage(message) {
+    var fixes = message.messageId ? message.messageId === "auditFixes" : FIXES_PATTERN.test(message.message);
+
+    if (fixes) {
+        return {
+            fixes: _.fromPairs((message.message.match(/[\w-]+=\d+/g) || []).map(function(entry) {
+                var parts = entry.split("=");
+
+                return [parts[0], Number(parts[1])];
+            }))
+        };
+    }
+
+    if (message.messageId) {
+        return COUNTS_BY_MESSAGE_ID[message.messageId] ? { count: COUNTS_BY_MESSAGE_ID[message.messageId], type: message.nodeType } : null;
+    }
+
+    var entry = _.find(PATTERNS, function(candidate) {
+        return candidate.pattern.test(message.message);
+    });
+
+    return entry ? { count: entry.count, type: entry.pattern.exec(message.message)[1] } : null;
+}
+
+function createCounts() {
+    return _.zipObject(COUNTS, COUNTS.map(_.constant(0)));
+}
+
+/**
+ * Adds one to a count of a group, creating the group the first time.
+ * @param {Object} groups The groups, keyed by name.
+ * @param {string} name The name of the group.
+ * @param {string} count The count.
+ * @returns {void}
+ * @private
+ */
+function increment(groups, name, count) {
+    groups[name] = groups[name] || createCounts();
+    groups[name][count]++;
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Summarizes the audit reports of a set of lint results: how the braces are
+ * placed and cuddled by block type and by directory, and how many fixes each
+ * preset would need. The best fit is the preset which needs the fewest.
+ * Files without audit reports, such as those which cannot be parsed, are not
+ * counted.
+ * @param {Object[]} results The lint results.
+ * @param {string} [cwd] The directory the directories are relative to.
+ *      Defaults to the working directory.
+ * @returns {Object} The summary, with the number of `files` and `braces`,
+ *      the counts `byType` and `byDirectory`, the `fixes` per preset and the
+ *      `bestFit` preset, which is null when no file was audited.
+ */
+module.exports = function(results, cwd) {
+    var summary = {
+            files: 0,
+            braces: 0,
+            byType: {},
+            byDirectory: {},
+            fixes: _.mapValues(braceOptions.styles, _.constant(0)),
+            bestFit: null
+        };
+
+    cwd = cwd || process.cwd();
+
+    results.forEach(function(result) {
+        var directory = path.relative(cwd, path.dirname(path.resolve(cwd, result.filePath))) || ".",
+            audited = false;
+
+        result.messages.filter(isFromRule).map(readMessage).forEach(function(entry) {
+            if (!entry) {
+                return;
+            }
+
+            if (entry.fixes) {
+                audited = true;
+
+                _.forEach(entry.fixes, function(count, name) {
+                    if (name in summary.fixes) {
+                        summary.fixes[name] += count;
+                    }
+                });
+                return;
+            }
+
+            increment(summary.byType, entry.type, entry.count);
+            increment(summary.byDirectory, directory.split(path.sep).join("/"), entry.count);
+
+            if (entry.count !== "cuddled" && entry.count !== "notCuddled") {
+                summary.braces++;
+            }
+        });
+
+        if (audited) {
+            summary.files++;
+        }
+    });
+
+    if (summary.files) {
+        summary.bestFit = _.minBy(Object.keys(summary.fixes), function(name) {
+            return summary.fixes[name];
+        });
+    }
+
+    return summary;
+};
@@ -0,0 +1,315 @@
+/**
+ * @fileoverview The brace-rules command, which converts files to a brace
+ * style in place or prints the changes as a diff.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var fs = require("fs"),
+    path = require("path"),
+    _ = require("lodash"),
+    diff = require("diff"),
+    convert = require("./convert");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var USAGE = [
+    "Usage: brace-rules [options] <file|dir|glob>...",
+    "",
+    "Converts files to a brace style in place.",
+    "",
+    "Options:",
+    "  -s, --style <style>    Brace style preset, or a JSON object of block types (default: 1tbs)",
+    "  -o, --options <json>   Options object of brace-on-same-line, as JSON",
+    "  -d, --diff             Print a diff of the changes instead of rewriting the files",
+    "  -h, --help             Show this help"
+].join("\n");
+
+var EXTENSIONS = [".js", ".mjs", ".cjs", ".jsx"];
+
+// JSX is parsed in every file, since it is often written in `.js` files too
+var PARSER_OPTIONS = { ecmaFeatures: { jsx: true } };
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} args The arguments, without the node and script paths.
+ * @returns {Object} The parsed options, with the file patterns in `patterns`.
+ * @throws {Error} If an option is unknown or its value is not valid.
+ * @private
+ */
+function parseArgs(args) {
+    var parsed = { style: "1tbs", options: null, diff: false, help: false, patterns: [] };
+
+    var i, arg;
+
+    function readValue() {
+        if (i + 1 >= args.length) {
+            throw new Error("Missing value for " + arg);
+        }
+
+        return args[++i];
+    }
+
+    function readJSON(value) {
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            throw new Error("Invalid JSON for " + arg + ": " + value);
+        }
+    }
+
+    for (i = 0; i < args.length; i++) {
+        arg = args[i];
+
+        switch (arg) {
+            case "-s":
+            case "--style":
+                parsed.style = readValue();
+
+                if (parsed.style.charAt(0) === "{") {
+                    parsed.style = readJSON(parsed.style);
+                }
+                break;
+
+            case "-o":
+            case "--options":
+                parsed.options = readJSON(readValue());
+                break;
+
+            case "-d":
+            case "--diff":
+                parsed.diff = true;
+                break;
+
+            case "-h":
+            case "--help":
+                parsed.help = true;
+                break;
+
+            default:
+                if (arg.charAt(0) === "-") {
+                    throw new Error("Unknown option: " + arg);
+                }
+
+                parsed.patterns.push(arg);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Converts a glob pattern to a regular expression. Supports `*`, `**`, `?`
+ * and `{a,b}` alternatives.
+ * @param {string} pattern The glob pattern, with forward slashes.
+ * @returns {RegExp} The regular expression matching whole paths.
+ * @private
+ */
+function globToRegExp(pattern) {
+    var source = pattern.replace(/\*\*\/|\*\*|\*|\?|\{([^}]*)\}|[.+^$()|[\]\\]/g, function(match, alternatives) {
+        switch (match) {
+            case "**/":
+                return "(?:.*/)?";
+
+            case "**":
+                return ".*";
+
+            case "*":
+                return "[^/]*";
+
+            case "?":
+                return "[^/]";
+
+            default:
+                if (alternatives !== undefined) {
+                    return "(?:" + alternatives.split(",").map(_.escapeRegExp).join("|") + ")";
+                }
+
+                return "\\" + match;
+        }
+    });
+
+    return new RegExp("^" + source + "$");
+}
+
+function isGlob(pattern) {
+    return (/[*?{]/).test(pattern);
+}
+
+function toPosix(file) {
+    return file.split(path.sep).join("/");
+}
+
+/**
+ * Lists the JavaScript files in a directory and its subdirectories, skipping
+ * `node_modules` and hidden directories.
+ * @param {string} dir The directory.
+ * @returns {string[]} The paths of the files.
+ * @private
+ */
+function walk(dir) {
+    return _.flatMap(fs.readdirSync(dir).sort(), function(name) {
+        var file = path.join(dir, name),
+            stats = fs.statSync(file);
+
+        if (stats.isDirectory()) {
+            return name === "node_modules" || name.charAt(0) === "." ? [] : walk(file);
+        }
+
+        return EXTENSIONS.indexOf(path.extname(name)) === -1 ? [] : [file];
+    });
+}
+
+/**
+ * Resolves files, directories and globs to the files they name.
+ * @param {string[]} patterns The patterns from the command line.
+ * @param {string} cwd The directory relative paths are resolved from.
+ * @returns {string[]} The files, relative to `cwd` when given relatively.
+ * @throws {Error} If a pattern matches no files.
+ * @private
+ */
+function resolveFiles(patterns, cwd) {
+    return _.uniq(_.flatMap(patterns, function(pattern) {
+        var files;
+
+        if (isGlob(pattern)) {
+            var posix = toPosix(pattern),
+                base = posix.split("/").filter(function(segment, index, segments) {
+                    return !_.some(segments.slice(0, index + 1), isGlob);
+                }).join("/") || ".",
+                matcher = globToRegExp(posix.replace(/^\.\//, ""));
+
+            files = fs.existsSync(path.resolve(cwd, base)) ? walk(path.resolve(cwd, base)).map(function(file) {
+                return path.isAbsolute(pattern) ? file : path.relative(cwd, file);
+            }).filter(function(file) {
+                return matcher.test(toPosix(file));
+            }) : [];
+        } else if (fs.existsSync(path.resolve(cwd, pattern))) {
+            files = fs.statSync(path.resolve(cwd, pattern)).isDirectory() ? walk(path.resolve(cwd, pattern)).map(function(file) {
+                return path.isAbsolute(pattern) ? file : path.relative(cwd, file);
+            }) : [pattern];
+        } else {
+            files = [];
+        }
+
+        if (!files.length) {
+            throw new Error("No files matching '" + pattern + "' were found.");
+        }
+
+        return files;
+    }));
+}
+
+/**
+ * Formats counts of changed braces per block type.
+ * @param {Object} changes The counts, keyed by block type.
+ * @returns {string} The counts, most frequent first.
+ * @private
+ */
+function formatChanges(changes) {
+    return _.sortBy(Object.keys(changes), function(type) {
+        return -changes[type];
+    }).map(function(type) {
+        return type + ": " + changes[type];
+    }).join(", ");
+}
+
+function plural(count, word) {
+    return count + " " + word + (count === 1 ? "" : "s");
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Runs the command.
+ * @param {string[]} args The arguments, without the node and script paths.
+ * @param {Object} [io] Where output goes, for tests.
+ * @param {Function} [io.stdout] Writes to standard output.
+ * @param {Function} [io.stderr] Writes to standard error.
+ * @param {string} [io.cwd] The working directory.
+ * @returns {number} The exit code: 0 on success, 1 if a file could not be
+ *      converted, and 2 for invalid arguments.
+ */
+function execute(args, io) {
+    io = _.assign({
+        stdout: function(text) {
+            process.stdout.write(text);
+        },
+        stderr: function(text) {
+            process.stderr.write(text);
+        },
+        cwd: process.cwd()
+    }, io);
+
+    var parsed, files;
+
+    try {
+        parsed = parseArgs(args);
+
+        if (parsed.help || !parsed.patterns.length) {
+            io.stdout(USAGE + "\n");
+            return parsed.help ? 0 : 2;
+        }
+
+        convert.validate({ style: parsed.style, options: parsed.options });
+        files = resolveFiles(parsed.patterns, io.cwd);
+    } catch (err) {
+        io.stderr(err.message + "\n");
+        return 2;
+    }
+
+    // with --diff the diff goes to stdout, so it can be piped to `patch`
+    var report = parsed.diff ? io.stderr : io.stdout,
+        totals = {},
+        changedFiles = 0,
+        exitCode = 0;
+
+    files.forEach(function(file) {
+        var fullPath = path.resolve(io.cwd, file),
+            source = fs.readFileSync(fullPath, "utf8"),
+            result;
+
+        try {
+            result = convert(source, { style: parsed.style, options: parsed.options, parserOptions: PARSER_OPTIONS });
+        } catch (err) {
+            io.stderr(file + ": " + err.message + (err.lineNumber ? " (" + err.lineNumber + ":" + err.column + ")" : "") + "\n");
+            exitCode = 1;
+            return;
+        }
+
+        if (result.output === source) {
+            return;
+        }
+
+        if (parsed.diff) {
+            io.stdout(diff.createTwoFilesPatch(toPosix(file), toPosix(file), source, result.output));
+        } else {
+            fs.writeFileSync(fullPath, result.output);
+        }
+
+        changedFiles++;
+        _.forEach(result.changes, function(count, type) {
+            totals[type] = (totals[type] || 0) + count;
+        });
+
+        report(file + ": " + plural(result.total, "brace") + " changed (" + formatChanges(result.changes) + ")\n");
+    });
+
+    var total = _.sum(_.values(totals));
+
+    report(plural(total, "brace") + " changed in " + plural(changedFiles, "file") + (total ? " (" + formatChanges(totals) + ")" : "") + "\n");
+
+    return exitCode;
+}
+
+module.exports = {
+    execute: execute
+};
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Converts source code to a brace style by applying the fixes
+ * of brace-on-same-line until nothing is left to fix.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var _ = require("lodash"),
+    Ajv = require("ajv"),
+    compat = require("./utils/compat"),
+    createFixers = require("./utils/fixers"),
+    rule = require("./rules/brace-on-same-line");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+// each pass fixes a line at most once, but a style which never settles
+// should not loop forever
+var MAX_PASSES = 50;
+
+var verify;
+
+// the block types of the fixes reported by the last lint, keyed by edit
+var blockTypes = {};
+
+// presets which never move a brace, and so cannot be converted to
+var UNCONVERTIBLE = {
+    audit: "only reports how the braces are placed",
+    consistent: "keeps the style each file already has"
+};
+
+// the same validator ESLint checks rule options with
+var ajv = new Ajv();
+
+/**
+ * Describes an error found by ajv, naming the property or values at fault.
+ * @param {Object} error The ajv error.
+ * @param {string} name The name of the value which was checked.
+ * @returns {string} The description.
+ * @private
+ */
+function formatError(error, name) {
+    var description = name + error.dataPath + " " + error.message;
+
+    if (error.keyword === "additionalProperties") {
+        return description + ": " + JSON.stringify(error.params.additionalProperty);
+    }
+
+    if (error.keyword === "enum") {
+        return description + ": " + error.params.allowedValues.map(JSON.stringify).join(", ");
+    }
+
+    return description;
+}
+
+/**
+ * Checks a value against a schema of brace-on-same-line.
+ * @param {*} value The value.
+ * @param {Object} schema The schema.
+ * @param {string} name The name of the value, which starts the message.
+ * @returns {void}
+ * @throws {Error} If the value does not match the schema.
+ * @private
+ */
+function validate(value, schema, name) {
+    var check = ajv.compile(schema);
+
+    if (!check(value)) {
+        throw new Error(check.errors.map(function(error) {
+            return formatError(error, name);
+        }).join("; ") + ".");
+    }
+}
+
+/**
+ * Applies the fixes of a set of messages. Only the first fix on each line is
+ * applied, since the fixes indent what they move by the line they start on
+ * and that line may be split by another fix. The rest are left for the next
+ * pass.
+ * @param {string} source The source code.
+ * @param {Object[]} messages The messages of the rule.
+ * @returns {{output: string, fixed: Object[]}} The fixed source code and the
+ *      messages whose fixes were applied.
+ * @private
+ */
+function applyFixes(source, messages) {
+    var fixable = _.sortBy(_.filter(messages, "fix"), function(message) {
+            return message.fix.range[0];
+        }),
+        lineStarts = [0],
+        fixed = [],
+        output = "",
+        position = 0,
+        lastLine = -1;
+
+    source.replace(/\r\n|\r|\n/g, function(match, offset) {
+        lineStarts.push(offset + match.length);
+        return match;
+    });
+
+    fixable.forEach(function(message) {
+        var range = message.fix.range;
+
+        if (range[0] < position || _.sortedLastIndex(lineStarts, range[0]) <= lastLine) {
+            return;
+        }
+
+        output += source.slice(position, range[0]) + message.fix.text;
+        position = range[1];
+        lastLine = _.sortedLastIndex(lineStarts, range[1]);
+        fixed.push(message);
+    });
+
+    return { output: output + source.slice(position), fixed: fixed };
+}
+
+/**
+ * Gets the key of the edit a fix makes, which is all that ties a lint
+ * message to the report it came from.
+ * @param {Object} edit The edit, with its `range` and `text`.
+ * @returns {string} The key.
+ * @private
+ */
+function getEditKey(edit) {
+    return edit.range.join(",") + ":" + edit.text;
+}
+
+/**
+ * Wraps brace-on-same-line to record the block type each fix is reported
+ * with. Lint messages do not keep the data of their reports, so the types
+ * are looked up by the edits of the messages' fixes.
+ * @type {Object}
+ * @private
+ */
+var recordingRule = {
+    meta: rule.meta,
+
+    create: function(context) {
+        var fixers = createFixers(compat.getSourceCode(context));
+
+        return rule.create(Object.create(context, {
+            report: {
+                value: function(descriptor) {
+                    var edit = descriptor.fix && fixers.getEdit(descriptor.fix);
+
+                    if (edit) {
+                        blockTypes[getEditKey(edit)] = descriptor.data.type;
+                    }
+
+                    context.report(descriptor);
+                }
+            }
+        }));
+    }
+};
+
+/**
+ * Lints source code with brace-on-same-line. Code is parsed as a module,
+ * and as a script if that fails, unless a source type is given.
+ * @param {string} source The source code.
+ * @param {Array} setting The rule setting.
+ * @param {Object} [parserOptions] The parser options.
+ * @returns {Object[]} The messages.
+ * @private
+ */
+function lint(source, setting, parserOptions) {
+    verify = verify || compat.createLinter({ "brace-on-same-line": recordingRule });
+    blockTypes = {};
+
+    var options = _.assign({ ecmaVersion: compat.getLatestEcmaVersion(), sourceType: "module" }, parserOptions),
+        settings = { "brace-rules/brace-on-same-line": setting },
+        messages = verify(source, settings, options);
+
+    if (_.some(messages, "fatal") && !(parserOptions && parserOptions.sourceType)) {
+        messages = verify(source, settings, _.assign(options, { sourceType: "script" }));
+    }
+
+    var fatal = _.find(messages, "fatal");
+    if (fatal) {
+        var error = new Error(fatal.message);
+
+        error.lineNumber = fatal.line;
+        error.column = fatal.column;
+        throw error;
+    }
+
+    return messages;
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Converts source code to a brace style, without needing an ESLint config.
+ * Fixes are applied repeatedly until the output stops changing.
+ * @param {string} source The source code.
+ * @param {Object} [config] The conversion settings.
+ * @param {string|Object} [config.style="1tbs"] The style, as given to
+ *      brace-on-same-line.
+ * @param {Object} [config.options] The options object of brace-on-same-line.
+ * @param {Object} [config.parserOptions] The parser options. Code is parsed
+ *      with the newest syntax ESLint supports by default.
+ * @returns {{output: string, changes: Object, total: number}} The converted
+ *      source, how many braces were changed per block type, and in total.
+ * @throws {Error} If the style or options are not valid, or the source
+ *      cannot be parsed.
+ */
+module.exports = function(source, config) {
+    config = config || {};
+
+    module.exports.validate(config);
+
+    var setting = [2, config.style || "1tbs"].concat(config.options ? [config.options] : []),
+        changes = {},
+        total = 0,
+        output = source;
+
+    for (var pass = 0; pass < MAX_PASSES; pass++) {
+        var result = applyFixes(output, lint(output, setting, config.parserOptions));
+
+        if (!result.fixed.length || result.output === output) {
+            break;
+        }
+
+        result.fixed.forEach(function(message) {
+            var type = blockTypes[getEditKey(message.fix)];
+
+            changes[type] = (changes[type] || 0) + 1;
+            total++;
+        });
+
+        output = result.output;
+    }
+
+    return {
+        output: output,
+        changes: changes,
+        total: total
+    };
+};
+
+/**
+ * Checks the style and options of a conversion against the schema of
+ * brace-on-same-line, as ESLint does for a config. The presets which do
+ * not place braces are not styles to convert to.
+ * @param {Object} config The conversion settings, as given to `convert`.
+ * @returns {void}
+ * @throws {Error} If the style or options are not valid.
+ */
+module.exports.validate = function(config) {
+    var style = config.style || "1tbs";
+
+    if (_.has(UNCONVERTIBLE, style)) {
+        throw new Error("style " + JSON.stringify(style) + " cannot be converted to, since it " + UNCONVERTIBLE[style] + ".");
+    }
+
+    validate(style, rule.meta.schema[0], "style");
+
+    if (config.options) {
+        validate(config.options, rule.meta.schema[1], "options");
+    }
+};
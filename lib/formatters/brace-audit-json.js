@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Formatter which prints the brace audit summary as JSON.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var summarize = require("../audit");
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+module.exports = function(results, context) {
+    return JSON.stringify(summarize(results, context && context.cwd), null, 4);
+};
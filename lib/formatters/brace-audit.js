@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Formatter which prints the brace audit summary as tables of
+ * the brace placement by block type and by directory, and of the fixes each
+ * preset would need.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var _ = require("lodash"),
+    summarize = require("../audit");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var COLUMNS = [
+    { key: "sameLine", title: "Same line" },
+    { key: "nextLine", title: "Next line" },
+    { key: "singleLine", title: "Single line" },
+    { key: "cuddled", title: "Cuddled" },
+    { key: "notCuddled", title: "Not cuddled" }
+];
+
+/**
+ * Lays out rows in columns, the first aligned left and the rest right.
+ * @param {Array[]} rows The rows, the first of which is the heading.
+ * @returns {string} The table.
+ * @private
+ */
+function table(rows) {
+    var widths = rows[0].map(function(cell, index) {
+        return _.max(rows.map(function(row) {
+            return String(row[index]).length;
+        }));
+    });
+
+    return rows.map(function(row) {
+        return row.map(function(cell, index) {
+            return index ? _.padStart(cell, widths[index]) : _.padEnd(cell, widths[index]);
+        }).join("  ").replace(/\s+$/, "");
+    }).join("\n");
+}
+
+/**
+ * Lays out the counts of a set of groups, one group per row.
+ * @param {string} title The heading of the first column.
+ * @param {Object} groups The counts, keyed by group name.
+ * @returns {string} The table.
+ * @private
+ */
+function countsTable(title, groups) {
+    return table([[title].concat(_.map(COLUMNS, "title"))].concat(Object.keys(groups).sort().map(function(name) {
+        return [name].concat(COLUMNS.map(function(column) {
+            return groups[name][column.key];
+        }));
+    })));
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+module.exports = function(results, context) {
+    var summary = summarize(results, context && context.cwd);
+
+    if (!summary.files) {
+        return "No brace audit reports found. Set brace-rules/brace-on-same-line to \"audit\" to audit the files.\n";
+    }
+
+    var presets = table([["Preset", "Fixes"]].concat(_.map(summary.fixes, function(count, name) {
+        return [name === summary.bestFit ? name + " (best fit)" : name, count];
+    })));
+
+    return [
+        "Brace audit of " + summary.braces + " " + (summary.braces === 1 ? "brace" : "braces") +
+            " in " + summary.files + " " + (summary.files === 1 ? "file" : "files"),
+        countsTable("Block type", summary.byType),
+        countsTable("Directory", summary.byDirectory),
+        presets,
+        "Best fit: " + summary.bestFit + ", with " + summary.fixes[summary.bestFit] + " " +
+            (summary.fixes[summary.bestFit] === 1 ? "fix" : "fixes")
+    ].join("\n\n") + "\n";
+};
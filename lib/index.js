@@ -8,15 +8,72 @@
 // Requirements
 //------------------------------------------------------------------------------
 
-var requireIndex = require("requireindex");
+var requireIndex = require("requireindex"),
+    pkg = require("../package.json");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Creates the rule settings of a config, turning off the core rules which
+ * would conflict with the plugin's.
+ * @param {Array} braceOnSameLine The options of brace-on-same-line.
+ * @param {Array} requireBraces The options of require-braces.
+ * @returns {Object} The rule settings.
+ * @private
+ */
+function createRules(braceOnSameLine, requireBraces) {
+    return {
+        "brace-style": "off",
+        "curly": "off",
+        "brace-rules/brace-on-same-line": ["error"].concat(braceOnSameLine),
+        "brace-rules/require-braces": ["error"].concat(requireBraces)
+    };
+}
 
 //------------------------------------------------------------------------------
 // Plugin Definition
 //------------------------------------------------------------------------------
 
+var plugin = {
+    meta: {
+        name: pkg.name,
+        version: pkg.version
+    },
+
+    // import all rules in lib/rules
+    rules: requireIndex(__dirname + "/rules"),
+
+    configs: {},
+
+    // lint the code samples of Markdown and HTML files
+    processors: require("./processors"),
+
+    // converts source code to a brace style without an ESLint config
+    convert: require("./convert")
+};
 
-// import all rules in lib/rules
-module.exports.rules = requireIndex(__dirname + "/rules");
+var styles = {
+    recommended: createRules(["1tbs", { allowSingleLine: true }], ["multi-or-nest", "1tbs", { allowSingleLine: true, consistent: true }]),
+    "1tbs": createRules(["1tbs"], ["all", "1tbs"]),
+    stroustrup: createRules(["stroustrup"], ["all", "stroustrup"]),
+    allman: createRules(["allman"], ["all", "allman"])
+};
 
+// each config comes in the eslintrc form, used with `extends`, and in the
+// flat form, a single config object which goes into an `eslint.config.js`
+// array as it is
+Object.keys(styles).forEach(function(name) {
+    plugin.configs[name] = {
+        plugins: ["brace-rules"],
+        rules: styles[name]
+    };
 
+    plugin.configs["flat/" + name] = {
+        plugins: { "brace-rules": plugin },
+        rules: styles[name]
+    };
+});
 
+module.exports = plugin;
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Processors which lint the JavaScript embedded in Markdown
+ * code fences and HTML script elements.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var _ = require("lodash");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+// the info strings of the Markdown code fences which are linted
+var FENCE_LANGUAGES = ["js", "javascript"];
+
+// the `type` attributes of the HTML script elements which are linted; a
+// script without one is JavaScript too
+var SCRIPT_TYPE = /^(?:(?:text|application)\/(?:x-)?(?:javascript|ecmascript)|module)$/i;
+
+/**
+ * Gets the offset at which each line of a text starts.
+ * @param {string} text The text.
+ * @returns {number[]} The offsets, one per line.
+ * @private
+ */
+function getLineStarts(text) {
+    var starts = [0];
+
+    text.replace(/\r\n|\r|\n/g, function(match, offset) {
+        starts.push(offset + match.length);
+        return match;
+    });
+
+    return starts;
+}
+
+/**
+ * Finds the JavaScript code fences of a Markdown document. As in CommonMark,
+ * a fence is closed by a fence of the same character which is at least as
+ * long, or by the end of the document, and the indentation of the opening
+ * fence is removed from the lines of its code.
+ * @param {string} text The Markdown source.
+ * @returns {Object[]} The blocks, each with its `lines`, as the offset of
+ *      each line in the document and its text, and the `indent` removed from
+ *      the lines.
+ * @private
+ */
+function extractMarkdown(text) {
+    var starts = getLineStarts(text),
+        lines = text.split(/\r\n|\r|\n/),
+        blocks = [],
+        fence = null;
+
+    lines.forEach(function(line, index) {
+        var match;
+
+        if (!fence) {
+            match = /^([ \t]*)(`{3,}|~{3,})[ \t]*([^\s`]*)/.exec(line);
+
+            if (match) {
+                fence = {
+                    indent: match[1],
+                    marker: match[2],
+                    block: FENCE_LANGUAGES.indexOf(match[3].toLowerCase()) !== -1 ? { lines: [], indent: match[1] } : null
+                };
+            }
+
+            return;
+        }
+
+        match = /^[ \t]*(`{3,}|~{3,})[ \t]*$/.exec(line);
+
+        if (match && match[1][0] === fence.marker[0] && match[1].length >= fence.marker.length) {
+            if (fence.block) {
+                blocks.push(fence.block);
+            }
+
+            fence = null;
+            return;
+        }
+
+        if (fence.block) {
+            var removed = /^[ \t]*/.exec(line)[0].length;
+
+            removed = Math.min(removed, fence.indent.length);
+
+            fence.block.lines.push({ offset: starts[index] + removed, text: line.slice(removed) });
+        }
+    });
+
+    if (fence && fence.block) {
+        blocks.push(fence.block);
+    }
+
+    return blocks;
+}
+
+/**
+ * Finds the JavaScript script elements of an HTML document. Scripts which
+ * load a file or hold another language, such as templates, are skipped.
+ * @param {string} text The HTML source.
+ * @returns {Object[]} The blocks, in the form of `extractMarkdown`.
+ * @private
+ */
+function extractHtml(text) {
+    var pattern = /(<script\b([^>]*)>)([\s\S]*?)<\/script\s*>/gi,
+        blocks = [],
+        match;
+
+    while ((match = pattern.exec(text))) {
+        var type = /\btype\s*=\s*["']?([^"'\s>]*)/i.exec(match[2]);
+
+        if (type && !SCRIPT_TYPE.test(type[1])) {
+            continue;
+        }
+
+        var offset = match.index + match[1].length,
+            starts = getLineStarts(match[3]);
+
+        blocks.push({
+            indent: "",
+            lines: match[3].split(/\r\n|\r|\n/).map(function(line, index) {
+                return { offset: offset + starts[index], text: line };
+            })
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Creates a processor from a function which finds the blocks of a document.
+ * Messages are moved back to the lines of the document, and fixes to its
+ * ranges, putting the removed indentation back on the lines they add.
+ * @param {Function} extract Finds the blocks of a document.
+ * @returns {Object} The processor.
+ * @private
+ */
+function createProcessor(extract) {
+
+    // the blocks of each file, from preprocessing it until its messages are
+    // postprocessed
+    var files = {};
+
+    /**
+     * Moves a location in a block to the document.
+     * @param {Object} block The block.
+     * @param {number[]} lineStarts The line starts of the document.
+     * @param {number} line The 1-based line in the block.
+     * @param {number} column The column in the block.
+     * @returns {{line: number, column: number}} The location in the document.
+     * @private
+     */
+    function mapLocation(block, lineStarts, line, column) {
+        var offset = block.lines[Math.min(line, block.lines.length) - 1].offset,
+            index = _.sortedLastIndex(lineStarts, offset) - 1;
+
+        return { line: index + 1, column: column + offset - lineStarts[index] };
+    }
+
+    /**
+     * Moves a fix in a block to the document.
+     * @param {Object} block The block.
+     * @param {Object} fix The fix, with the `range` and `text` of the block.
+     * @returns {Object} The fix in the document.
+     * @private
+     */
+    function mapFix(block, fix) {
+        function mapOffset(offset) {
+            var index = _.sortedLastIndex(block.starts, offset) - 1;
+
+            return block.lines[index].offset + offset - block.starts[index];
+        }
+
+        return {
+            range: [mapOffset(fix.range[0]), mapOffset(fix.range[1])],
+            text: fix.text.replace(/\r\n|\r|\n/g, function(lineBreak) {
+                return lineBreak + block.indent;
+            })
+        };
+    }
+
+    function mapMessage(block, lineStarts, message) {
+        var mapped = _.assign({}, message),
+            start = mapLocation(block, lineStarts, message.line, message.column);
+
+        mapped.line = start.line;
+        mapped.column = start.column;
+
+        if (typeof message.endLine === "number") {
+            var end = mapLocation(block, lineStarts, message.endLine, message.endColumn);
+
+            mapped.endLine = end.line;
+            mapped.endColumn = end.column;
+        }
+
+        if (message.fix) {
+            mapped.fix = mapFix(block, message.fix);
+        }
+
+        if (message.suggestions) {
+            mapped.suggestions = message.suggestions.map(function(suggestion) {
+                return _.assign({}, suggestion, { fix: mapFix(block, suggestion.fix) });
+            });
+        }
+
+        return mapped;
+    }
+
+    return {
+
+        /**
+         * Gets the code of each block of a document.
+         * @param {string} text The document.
+         * @param {string} filename The name of the file.
+         * @returns {string[]} The code of the blocks.
+         */
+        preprocess: function(text, filename) {
+            var blocks = extract(text);
+
+            blocks.forEach(function(block) {
+                var code = _.map(block.lines, "text").join("\n");
+
+                block.code = code;
+                block.starts = getLineStarts(code);
+            });
+
+            files[filename] = { lineStarts: getLineStarts(text), blocks: blocks };
+
+            return _.map(blocks, "code");
+        },
+
+        /**
+         * Moves the messages of each block to the document.
+         * @param {Object[][]} messageLists The messages of each block.
+         * @param {string} filename The name of the file.
+         * @returns {Object[]} The messages of the document.
+         */
+        postprocess: function(messageLists, filename) {
+            var file = files[filename];
+
+            delete files[filename];
+
+            return _.sortBy(_.flatten(messageLists.map(function(messages, index) {
+                return messages.map(function(message) {
+
+                    // messages without a line in the block, such as those
+                    // about the configuration, have no place to move to
+                    if (!(message.line > 0)) {
+                        return message;
+                    }
+
+                    return mapMessage(file.blocks[index], file.lineStarts, message);
+                });
+            })), ["line", "column"]);
+        },
+
+        supportsAutofix: true
+    };
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+var markdown = createProcessor(extractMarkdown),
+    html = createProcessor(extractHtml);
+
+module.exports = {
+    markdown: markdown,
+    html: html,
+
+    // ESLint before 9 finds processors by the extension of the file
+    ".md": markdown,
+    ".markdown": markdown,
+    ".html": html,
+    ".htm": html
+};
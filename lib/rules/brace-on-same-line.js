@@ -4,106 +4,386 @@
  */
 "use strict";
 
-var _ = require("lodash");
+var _ = require("lodash"),
+    createIndentation = require("../utils/indentation"),
+    createFixers = require("../utils/fixers"),
+    createConstructs = require("../utils/constructs"),
+    braceOptions = require("../utils/brace-options"),
+    compat = require("../utils/compat");
 
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
 
-var blocks = [
-    "FunctionDeclaration",
-    "FunctionExpression",
-    "ArrowFunctionExpression",
-    "IfStatement",
-    "TryStatement",
-    "DoWhileStatement",
-    "WhileStatement",
-    "WithStatement",
-    "ForStatement",
-    "ForInStatement",
-    "ForOfStatement",
-    "SwitchStatement"
+var blocks = braceOptions.blocks;
+
+// bodies which are not BlockStatements but have their braces checked the same
+// way; enums have no node for their body, so the declaration stands in for it
+var blockLikeTypes = [
+    "BlockStatement",
+    "ClassBody",
+    "StaticBlock",
+    "TSInterfaceBody",
+    "TSEnumDeclaration",
+    "TSModuleBlock",
+    "TSTypeLiteral"
 ];
 
-var styles = {
-    "1tbs": blocks.reduce(function(acc, type) { 
-        acc[type] = "always";
-        return acc;
-    }, {}),
+var messages = {
+    missingOpeningSameLine: "Opening brace of {{construct}} does not appear on the same line as controlling statement.",
+    unexpectedOpeningSameLine: "Opening brace of {{construct}} appears on the same line as controlling statement.",
+    statementOnOpeningLine: "Statement inside of curly braces should be on next line.",
+    statementNotOnOpeningLine: "Statement inside of curly braces should be on the same line as opening curly brace.",
+    statementOnClosingLine: "Closing curly brace should be on the same line as opening curly brace or on the line after the previous block.",
+    missingCuddled: "Closing brace does not appear on the same line as the subsequent {{construct}}.",
+    unexpectedCuddled: "Closing brace appears on the same line as the subsequent {{construct}}.",
+    openingIndent: "Opening brace of {{construct}} is not indented as the brace style requires.",
+    closingIndent: "Closing brace of {{construct}} is not indented as the brace style requires.",
+    emptyOnMultipleLines: "Empty {{construct}} should be written as '{}'.",
+    inconsistentChainBraces: "Branches of the 'if' chain should all be braced, or none of them.",
+    inconsistentChainElse: "Every 'else' of the 'if' chain should {{placement}}.",
+    splitElseIf: "'else if' should be on one line throughout the 'if' chain.",
+    moveAcrossComments: "Move the brace and the comments before it onto one line.",
+    exceedsMaxLength: "Line break kept, since joining the lines would exceed the maximum line length of {{maxLength}}.",
 
-    allman: blocks.reduce(function(acc, type) {
-        acc[type] = "never";
-        return acc;
-    }, {})
+    // reports of the audit mode, which the brace-audit formatter reads back
+    auditSameLine: "Audit: opening brace of {{type}} on the same line.",
+    auditNextLine: "Audit: opening brace of {{type}} on the next line.",
+    auditSingleLine: "Audit: {{type}} block on a single line.",
+    auditCuddled: "Audit: '{{keyword}}' of {{type}} cuddled.",
+    auditNotCuddled: "Audit: '{{keyword}}' of {{type}} not cuddled.",
+    auditFixes: "Audit: fixes per preset {{fixes}}."
 };
 
-styles.stroustrup = _.assign({
-    noCuddledElse: true,
-    noCuddledCatchFinally: true
-}, styles["1tbs"]);
+var functionTypes = ["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"];
 
-var factory = function(context) {
-    var sourceCode = context.getSourceCode(),
-        style = context.options[0] || "1tbs";
+/**
+ * Determines if a function is called where it is defined, directly or
+ * through `call` or `apply`.
+ * @param {ASTNode} node The function.
+ * @returns {boolean} True if the function is an IIFE.
+ * @private
+ */
+function isIIFE(node) {
+    var parent = node.parent;
 
-    if (typeof style === "string") {
-        style = styles[style];
+    if (parent.type === "MemberExpression" && parent.object === node && !parent.computed &&
+            (parent.property.name === "call" || parent.property.name === "apply")) {
+        node = parent;
+        parent = parent.parent;
     }
 
-    var options = _.assign({}, style, context.options[1]);
+    return parent.type === "CallExpression" && parent.callee === node;
+}
 
-    blocks.forEach(function(type) {
-        if (type in options) {
-            if (options[type] === "ignore") {
-                delete options[type];
-            } else {
-                options[type] = options[type] === "always";
-            }
+/**
+ * Determines if a function is passed as an argument.
+ * @param {ASTNode} node The function.
+ * @returns {boolean} True if the function is a callback.
+ * @private
+ */
+function isCallback(node) {
+    var parent = node.parent;
+
+    return (parent.type === "CallExpression" || parent.type === "NewExpression") && parent.callee !== node;
+}
+
+/**
+ * Determines if a function is the value of an object property, including
+ * method shorthand, getters and setters.
+ * @param {ASTNode} node The function.
+ * @returns {boolean} True if the function is an object method.
+ * @private
+ */
+function isObjectMethod(node) {
+    return node.parent.type === "Property" && node.parent.value === node;
+}
+
+/**
+ * Determines if a function is defined inside another function.
+ * @param {ASTNode} node The function.
+ * @returns {boolean} True if the function is nested.
+ * @private
+ */
+function isNested(node) {
+    for (var ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+        if (functionTypes.indexOf(ancestor.type) !== -1) {
+            return true;
         }
-    });
+    }
+
+    return false;
+}
+
+var contextMatchers = {
+    iife: isIIFE,
+    callbacks: isCallback,
+    objectMethods: isObjectMethod,
+    nested: isNested
+};
+
+var factory = function(context) {
+    var sourceCode = compat.getSourceCode(context),
+        report = compat.createReport(context, messages),
+        style = context.options[0] || "1tbs",
+        inferStyle = style === "consistent",
+        audit = style === "audit";
+
+    // the style is inferred from the file once it has been parsed, until then
+    // every block type is checked; the audit mode checks nothing itself
+    if (inferStyle || audit) {
+        style = "1tbs";
+    }
 
-    var OPEN_MESSAGE = "Opening curly brace does not appear on the same line as controlling statement.",
-        OPEN_MESSAGE_ALLMAN = "Opening curly brace appears on the same line as controlling statement.",
-        BODY_MESSAGE = "Statement inside of curly braces should be on next line.",
-        CLOSE_MESSAGE = "Closing curly brace does not appear on the same line as the subsequent block.",
-        CLOSE_MESSAGE_SINGLE = "Closing curly brace should be on the same line as opening curly brace or on the line after the previous block.",
-        CLOSE_MESSAGE_STROUSTRUP_ALLMAN = "Closing curly brace appears on the same line as the subsequent block.";
+    var options = braceOptions.parse(style, context.options[1]);
+
+    // overrides of the block placement for controlling statements which
+    // span multiple lines, keyed by block type
+    var multilineHeader = braceOptions.getMultilineHeader(options);
+
+    // the longest line a join may leave, which can be shared with other
+    // plugins' rules through the `brace-rules` setting
+    var maxLength = options.maxLength || _.get(context.settings, ["brace-rules", "maxLength"]),
+        tabWidth = options.tabWidth || _.get(context.settings, ["brace-rules", "tabWidth"]) || createIndentation.TAB_WIDTH;
+
+    var indentation = createIndentation(sourceCode, options.indent),
+        fixers = createFixers(sourceCode),
+        constructs = createConstructs(sourceCode),
+        insertBreakBefore = fixers.insertBreakBefore,
+        insertBreakAfter = fixers.insertBreakAfter,
+        removeBreakBetween = fixers.removeBreakBetween,
+        replaceIndent = fixers.replaceIndent;
 
     //--------------------------------------------------------------------------
     // Helpers
     //--------------------------------------------------------------------------
 
-    function insertBreakBefore(token, whitespace) {
-        whitespace = whitespace || "";
-        return function (fixer) {
-                return fixer.insertTextBefore(token, "\n" + whitespace);
+    function getWhitespaceBefore(token) {
+        return indentation.getLineIndent(token);
+    }
+
+    /**
+     * Gets the text which precedes a token on its line.
+     * @param {Object} token The token.
+     * @returns {string} The text from the start of the line up to the token.
+     * @private
+     */
+    function getTextBeforeOnLine(token) {
+        return sourceCode.lines[token.loc.start.line - 1].slice(0, token.loc.start.column);
+    }
+
+    /**
+     * Determines if a token is the first token on its line.
+     * @param {Object} token The token to check.
+     * @returns {boolean} True if nothing but whitespace precedes the token on its line.
+     * @private
+     */
+    function isFirstTokenOnLine(token) {
+        return (/^\s*$/).test(getTextBeforeOnLine(token));
+    }
+
+    /**
+     * Determines if a fix would leave a line longer than `maxLength`. Tokens
+     * which cannot be joined within it are left on separate lines, so that
+     * the fix does not trade one problem for a `max-len` one.
+     * @param {Function} fix The fixer function.
+     * @returns {boolean} True if a line would be too long.
+     * @private
+     */
+    function exceedsMaxLength(fix) {
+        return Boolean(maxLength) && fixers.measureFixedLines(fix, tabWidth) > maxLength;
+    }
+
+    /**
+     * Reports that tokens the style would join are left on separate lines
+     * because of `maxLength`. There is nothing to fix.
+     * @param {ASTNode} node The node to report.
+     * @param {Object} loc The location to report.
+     * @returns {void}
+     * @private
+     */
+    function reportMaxLength(node, loc) {
+        report({
+            node: node,
+            loc: loc,
+            messageId: "exceedsMaxLength",
+            data: { maxLength: maxLength }
+        });
+    }
+
+    /**
+     * Reports a problem which is fixed by joining two tokens onto one line.
+     * When the fix would move comments across the brace, it is only offered
+     * as a suggestion.
+     * @param {Object} descriptor The report descriptor, without a fix.
+     * @param {Object} startToken The token to keep in place.
+     * @param {Object} endToken The token to pull up onto the line of `startToken`.
+     * @param {string} [whitespace] The whitespace to put between the tokens.
+     * @returns {void}
+     * @private
+     */
+    function reportJoin(descriptor, startToken, endToken, whitespace) {
+        var fix = removeBreakBetween(startToken, endToken, whitespace);
+
+        if (exceedsMaxLength(fix)) {
+            reportMaxLength(descriptor.node, descriptor.loc || endToken.loc.start);
+            return;
+        }
+
+        if (fixers.movesComments(startToken, endToken)) {
+            descriptor.suggest = [{ messageId: "moveAcrossComments", fix: fix }];
+        } else {
+            descriptor.fix = fix;
+        }
+
+        report(descriptor);
+    }
+
+    /**
+     * Gets the configured context which overrides the block type of a
+     * function, such as `callbacks`.
+     * @param {ASTNode} node The node which owns the block.
+     * @returns {?string} The context, or null if none applies.
+     * @private
+     */
+    function getContext(node) {
+        if (functionTypes.indexOf(node.type) === -1) {
+            return null;
         }
+
+        return _.find(braceOptions.contexts, function(key) {
+            return key in options && contextMatchers[key](node);
+        }) || null;
+    }
+
+    /**
+     * Determines if the braces of a node are checked, which its context
+     * decides over its block type.
+     * @param {string} type The block type.
+     * @param {ASTNode} node The node which owns the block.
+     * @returns {boolean} True if the braces are checked.
+     * @private
+     */
+    function isChecked(type, node) {
+        var functionContext = getContext(node);
+
+        return functionContext ? options[functionContext] !== null : type in options;
+    }
+
+    function getExpectedBraceIndent(node, whitespace) {
+        return braceOptions.getBraceIndent(options, indentation, node, whitespace);
     }
 
-    function removeBreakBetween(startToken, endToken) {
-        return function (fixer) {
-            return fixer.replaceTextRange([
-                startToken.range[1],
-                endToken.range[0]
-            ], " ");
+    /**
+     * Gets the indentation of the statements inside a block. GNU indents
+     * them half a level in from braces which are half a level in themselves,
+     * and the other styles a level in from the controlling statement.
+     * @param {string} whitespace The leading whitespace of the controlling statement.
+     * @param {{open: ?string, close: ?string}} expected The expected brace indentation.
+     * @returns {string} The indentation of the statements.
+     * @private
+     */
+    function getBodyIndent(whitespace, expected) {
+        if (options.braceIndent === "gnu" && expected.open !== whitespace) {
+            return indentation.nestHalf(expected.open);
         }
+
+        return indentation.nest(whitespace);
     }
 
-    function getWhitespaceBefore(token) {
-        var src = sourceCode.getText(token, token.loc.start.column);
-        var indent = (/^(\s+)/).exec(src);
+    /**
+     * Extends a fix which moves an opening brace of the GNU style to also
+     * move the body of the block to its indentation from the brace's new
+     * column. The other styles indent the body from the controlling
+     * statement, so it stays where it is wherever the brace goes.
+     * @param {Function} fix The fixer function which moves the brace.
+     * @param {Object} openToken The opening curly brace.
+     * @param {Object} closeToken The closing curly brace.
+     * @param {string} whitespace The leading whitespace of the controlling statement.
+     * @param {{open: ?string, close: ?string}} expected The expected brace indentation.
+     * @returns {Function} The fixer function.
+     * @private
+     */
+    function moveBodyWithBrace(fix, openToken, closeToken, whitespace, expected) {
+        if (options.braceIndent !== "gnu") {
+            return fix;
+        }
 
-        return indent ? indent[1] : "";
+        return fixers.reindentBetween(fix, openToken, closeToken, getBodyIndent(whitespace, expected));
     }
 
     /**
-     * Determines if a given node is a block statement.
+     * Reports braces which start their line but are not indented at the
+     * column the configured `braceIndent` style expects.
+     * @param {ASTNode} node The node to report.
+     * @param {Object} openToken The opening curly brace.
+     * @param {Object} closeToken The closing curly brace.
+     * @param {string} whitespace The leading whitespace of the controlling statement.
+     * @param {{open: ?string, close: ?string}} expected The expected whitespace.
+     * @param {Object} data The data of the reports: the `construct` which owns
+     *      the braces, and the block `type` it is checked as.
+     * @returns {void}
+     * @private
+     */
+    function checkBraceIndent(node, openToken, closeToken, whitespace, expected, data) {
+        if (expected.open !== null && isFirstTokenOnLine(openToken) && getTextBeforeOnLine(openToken) !== expected.open) {
+            report({
+                node: node,
+                loc: openToken.loc.start,
+                messageId: "openingIndent",
+                data: data,
+                fix: moveBodyWithBrace(replaceIndent(openToken, expected.open), openToken, closeToken, whitespace, expected)
+            });
+        }
+
+        if (expected.close !== null && closeToken.loc.start.line !== openToken.loc.start.line &&
+                isFirstTokenOnLine(closeToken) && getTextBeforeOnLine(closeToken) !== expected.close) {
+            report({
+                node: node,
+                loc: closeToken.loc.start,
+                messageId: "closingIndent",
+                data: data,
+                fix: replaceIndent(closeToken, expected.close)
+            });
+        }
+    }
+
+    /**
+     * Determines if a given node is a block statement, or a block-like body
+     * such as a class body, static initialization block or the body of a
+     * TypeScript declaration.
      * @param {ASTNode} node The node to check.
-     * @returns {boolean} True if the node is a block statement, false if not.
+     * @returns {boolean} True if the node is a block, false if not.
      * @private
      */
     function isBlock(node) {
-        return node && node.type === "BlockStatement";
+        return Boolean(node) && blockLikeTypes.indexOf(node.type) !== -1;
+    }
+
+    /**
+     * Gets the opening curly brace of a block. Static blocks begin with the
+     * `static` keyword, so the brace is the second token of the node, and
+     * the brace of an enum follows its name.
+     * @param {ASTNode} node The block node.
+     * @returns {Object} The opening curly brace token.
+     * @private
+     */
+    function getOpeningBrace(node) {
+        if (node.type === "TSEnumDeclaration") {
+            return sourceCode.getTokenAfter(node.id);
+        }
+
+        return sourceCode.getFirstToken(node, node.type === "StaticBlock" ? 1 : 0);
+    }
+
+    /**
+     * Gets the statements, or members, inside the braces of a block.
+     * @param {ASTNode} node The block node.
+     * @returns {ASTNode[]} The statements or members.
+     * @private
+     */
+    function getBlockBody(node) {
+        return node.members || node.body;
     }
 
     /**
@@ -117,91 +397,276 @@ var factory = function(context) {
     }
 
     /**
-     * Binds a list of properties to a function that verifies that the opening
-     * curly brace is on the same line as its controlling statement of a given
-     * node.
-     * @param {...string} The properties to check on the node.
-     * @returns {Function} A function that will perform the check on a node
+     * Determines whether the opening curly brace of a block is expected on the
+     * same line as the token before it.
+     * @param {string} type The block type to read the options of.
+     * @param {ASTNode} node The node which owns the block.
+     * @param {Object} previousToken The token before the opening curly brace.
+     * @returns {boolean} True if the brace belongs on the same line.
+     * @private
+     */
+    function isSameLineExpected(type, node, previousToken) {
+        if (type in multilineHeader && constructs.isMultilineHeader(node, previousToken)) {
+            return multilineHeader[type];
+        }
+
+        var functionContext = getContext(node);
+
+        return functionContext ? options[functionContext] : options[type];
+    }
+
+    /**
+     * Determines if a block which fits on the line of the token before its
+     * opening brace may stay there. Empty blocks may when they are required
+     * to be written as `{}`. Tabs count for `tabWidth` columns of the line.
+     * @param {string} type The block type to read the options of.
+     * @param {ASTNode[]} body The statements, or cases, inside the braces.
+     * @param {Object} curlyTokenEnd The closing curly brace.
+     * @returns {boolean} True if the block may stay on one line.
      * @private
      */
-    function checkBlock(node, expectSameLine, whitespace, parentNode) {
+    function isSingleLineAllowed(type, body, curlyTokenEnd) {
+        if (!body.length && options.requireSingleLineForEmpty) {
+            return true;
+        }
+
+        return braceOptions.allowsSingleLine(options, type, body.length, fixers.measureLine(sourceCode.lines[curlyTokenEnd.loc.start.line - 1], tabWidth));
+    }
+
+    /**
+     * Reports an empty block whose braces are on different lines, when empty
+     * blocks are required to be written as `{}`. Blocks with comments inside
+     * are not empty.
+     * @param {ASTNode} node The node to report.
+     * @param {ASTNode[]} body The statements, or cases, inside the braces.
+     * @param {Object} curlyToken The opening curly brace.
+     * @param {Object} curlyTokenEnd The closing curly brace.
+     * @param {Object} data The data of the reports: the `construct` which owns
+     *      the braces, and the block `type` it is checked as.
+     * @returns {boolean} True if the block was reported.
+     * @private
+     */
+    function checkEmptyBlock(node, body, curlyToken, curlyTokenEnd, data) {
+        if (!options.requireSingleLineForEmpty || body.length || curlyToken.loc.start.line === curlyTokenEnd.loc.start.line ||
+                fixers.getCommentsBetween(curlyToken, curlyTokenEnd).length) {
+            return false;
+        }
+
+        var fix = removeBreakBetween(curlyToken, curlyTokenEnd, "");
+
+        if (exceedsMaxLength(fix)) {
+            reportMaxLength(node, curlyToken.loc.start);
+            return true;
+        }
+
+        report({
+            node: node,
+            loc: curlyToken.loc.start,
+            messageId: "emptyOnMultipleLines",
+            data: data,
+            fix: fix
+        });
+
+        return true;
+    }
+
+    /**
+     * Verifies that the first statement of a block does not share the line
+     * of the opening curly brace, or does for Horstmann, and that the last
+     * does not share the line of the closing curly brace.
+     * @param {ASTNode[]} body The statements, or cases, inside the braces.
+     * @param {Object} curlyToken The opening curly brace.
+     * @param {Object} curlyTokenEnd The closing curly brace.
+     * @param {string} whitespace The leading whitespace of the controlling statement.
+     * @param {{open: ?string, close: ?string}} expected The expected brace indentation.
+     * @param {Object} data The data of the reports: the `construct` which owns
+     *      the braces, and the block `type` it is checked as.
+     * @returns {void}
+     * @private
+     */
+    function checkBlockBody(body, curlyToken, curlyTokenEnd, whitespace, expected, data) {
+        if (!body.length) {
+            return;
+        }
+
+        var firstToken = sourceCode.getFirstToken(body[0]);
+        if (options.braceIndent === "horstmann") {
+            if (curlyToken.loc.start.line !== firstToken.loc.start.line) {
+                reportJoin({
+                    node: body[0],
+                    messageId: "statementNotOnOpeningLine",
+                    data: data
+                }, curlyToken, firstToken, indentation.horstmannSeparator());
+            }
+        } else if (curlyToken.loc.start.line === firstToken.loc.start.line) {
+            report({
+                node: body[0],
+                messageId: "statementOnOpeningLine",
+                data: data,
+                fix: insertBreakAfter(curlyToken, getBodyIndent(whitespace, expected))
+            });
+        }
+
+        var lastToken = sourceCode.getTokenBefore(curlyTokenEnd);
+        var endOnSameLine = curlyTokenEnd.loc.start.line === lastToken.loc.end.line;
+        if (endOnSameLine) {
+            report({
+                node: body[body.length - 1],
+                messageId: "statementOnClosingLine",
+                data: data,
+                fix: insertBreakBefore(curlyTokenEnd, expected.close === null ? whitespace : expected.close)
+            });
+        }
+    }
+
+    /**
+     * Reports an opening curly brace on the wrong line.
+     * @param {ASTNode} node The node to report.
+     * @param {Object} previousToken The token before the opening curly brace.
+     * @param {Object} curlyToken The opening curly brace.
+     * @param {Object} curlyTokenEnd The closing curly brace.
+     * @param {boolean} sameLine Whether the brace is on the line of the previous token.
+     * @param {Object} data The data of the reports: the `construct` which owns
+     *      the braces, and the block `type` it is checked as.
+     * @param {string} whitespace The leading whitespace of the controlling statement.
+     * @param {{open: ?string, close: ?string}} expected The expected brace indentation.
+     * @returns {void}
+     * @private
+     */
+    function checkOpeningLine(node, previousToken, curlyToken, curlyTokenEnd, sameLine, data, whitespace, expected) {
+        var descriptor = {
+            node: node,
+            messageId: sameLine ? "unexpectedOpeningSameLine" : "missingOpeningSameLine",
+            data: data
+        };
+
+        if (sameLine) {
+            descriptor.fix = moveBodyWithBrace(insertBreakBefore(curlyToken, expected.open === null ? whitespace : expected.open),
+                curlyToken, curlyTokenEnd, whitespace, expected);
+            report(descriptor);
+        } else {
+            reportJoin(descriptor, previousToken, curlyToken);
+        }
+    }
+
+    /**
+     * Verifies the placement of the curly braces of a block, along with the
+     * placement of its first and last statements.
+     * @param {ASTNode} node The block to check.
+     * @param {string} type The block type to read the options of.
+     * @param {string} whitespace The leading whitespace of the controlling statement.
+     * @param {ASTNode} [parentNode] The node which owns the block, which is reported.
+     * @returns {void}
+     * @private
+     */
+    function checkBlock(node, type, whitespace, parentNode) {
         if (!isBlock(node)) {
             return;
         }
 
-        var previousToken = sourceCode.getTokenBefore(node);
-        var curlyToken = sourceCode.getFirstToken(node);
+        var curlyToken = getOpeningBrace(node);
+        var previousToken = sourceCode.getTokenBefore(curlyToken);
         var curlyTokenEnd = sourceCode.getLastToken(node);
 
+        // type literals which fit on one line are inline types, like object
+        // literals, rather than blocks
         var allOnSameLine = previousToken.loc.start.line === curlyTokenEnd.loc.start.line;
-        if (allOnSameLine && options.allowSingleLine) {
+        if (allOnSameLine && (node.type === "TSTypeLiteral" || isSingleLineAllowed(type, getBlockBody(node), curlyTokenEnd))) {
             return;
         }
 
-        var startSameLine = previousToken.loc.start.line === curlyToken.loc.start.line;                
-        if (startSameLine !== expectSameLine) {
-            context.report({
-                node: parentNode || node,
-                message: startSameLine ? OPEN_MESSAGE_ALLMAN : OPEN_MESSAGE,
-                fix: startSameLine ? insertBreakBefore(curlyToken, whitespace) : removeBreakBetween(previousToken, curlyToken)
-            });
-        }
+        var reportNode = parentNode || node,
+            data = { construct: constructs.describe(reportNode, node), type: type },
+            expected = getExpectedBraceIndent(reportNode, whitespace);
 
-        if (!node.body.length) {
+        // once collapsed, the placement of the braces is checked as a block
+        // on one line
+        if (checkEmptyBlock(reportNode, getBlockBody(node), curlyToken, curlyTokenEnd, data)) {
             return;
         }
-        
-        if (curlyToken.loc.start.line === node.body[0].loc.start.line) {
-            context.report({
-                node: node.body[0],
-                message: BODY_MESSAGE,
-                // todo: right now we are keeping the indentation, but we should be detecting whether
-                // the kind of whitespace used instead of assuming spaces
-                fix: insertBreakBefore(curlyToken, _.repeat(" ", node.body[0].loc.start.column))
-            })
-        }
 
-        var lastToken = node.body[node.body.length - 1];
-        var endOnSameLine = curlyTokenEnd.loc.start.line === lastToken.loc.start.line;
-        if (endOnSameLine) {
-            context.report({
-                node: lastToken,
-                message: CLOSE_MESSAGE_SINGLE,
-                fix: insertBreakBefore(curlyTokenEnd, whitespace)
-            });
+        var startSameLine = previousToken.loc.start.line === curlyToken.loc.start.line;
+        if (startSameLine !== isSameLineExpected(type, reportNode, previousToken)) {
+            checkOpeningLine(reportNode, previousToken, curlyToken, curlyTokenEnd, startSameLine, data, whitespace, expected);
         }
+
+        checkBraceIndent(reportNode, curlyToken, curlyTokenEnd, whitespace, expected, data);
+        checkBlockBody(getBlockBody(node), curlyToken, curlyTokenEnd, whitespace, expected, data);
     }
 
-    function checkForCuddled(node, previousToken, firstToken, expectSameLine, leadingWhitespace) {
+    function checkForCuddled(node, previousToken, firstToken, expectSameLine, leadingWhitespace, data) {
         var closeOnSameLine = previousToken.loc.start.line === firstToken.loc.start.line;
 
         if (expectSameLine) {
             if (!closeOnSameLine && isCurlyPunctuator(previousToken)) {
-                context.report({
+                reportJoin({
                     node: node,
-                    message: CLOSE_MESSAGE,
-                    fix: removeBreakBetween(previousToken, firstToken)
-                });
+                    messageId: "missingCuddled",
+                    data: data
+                }, previousToken, firstToken);
             }
         } else if (closeOnSameLine) {
-            context.report({
+            report({
                 node: node,
-                message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN,
+                messageId: "unexpectedCuddled",
+                data: data,
                 fix: insertBreakBefore(firstToken, leadingWhitespace)
             });
         }
     }
 
     function checkNode(type) {
-        if (!(type in options)) {
-            return _.noop;
-        }
-
         return function (node) {
-            checkBlock(node.body, options[type], getWhitespaceBefore(node), node);
+            if (isChecked(type, node)) {
+                checkBlock(node.body, type, getWhitespaceBefore(node), node);
+            }
         };
     }
 
+    /**
+     * Enforces the configured brace style on FunctionExpressions. Functions
+     * which are the value of a class method are handled by the
+     * MethodDefinition check instead.
+     * @param {ASTNode} node A FunctionExpression node.
+     * @returns {void}
+     * @private
+     */
+    function checkFunctionExpression(node) {
+        if (node.parent.type === "MethodDefinition" || !isChecked("FunctionExpression", node)) {
+            return;
+        }
+
+        checkBlock(node.body, "FunctionExpression", getWhitespaceBefore(node), node);
+    }
+
+    /**
+     * Enforces the configured brace style on class methods, getters and setters
+     * @param {ASTNode} node A MethodDefinition node.
+     * @returns {void}
+     * @private
+     */
+    function checkMethodDefinition(node) {
+        if (!("MethodDefinition" in options) || !node.value) {
+            return;
+        }
+
+        checkBlock(node.value.body, "MethodDefinition", getWhitespaceBefore(node), node);
+    }
+
+    /**
+     * Enforces the configured brace style on class static initialization blocks
+     * @param {ASTNode} node A StaticBlock node.
+     * @returns {void}
+     * @private
+     */
+    function checkStaticBlock(node) {
+        if (!("StaticBlock" in options)) {
+            return;
+        }
+
+        checkBlock(node, "StaticBlock", getWhitespaceBefore(node), node);
+    }
+
     /**
      * Enforces the configured brace style on IfStatements
      * @param {ASTNode} node An IfStatement node.
@@ -209,17 +674,255 @@ var factory = function(context) {
      * @private
      */
     function checkIfStatement(node) {
+        if (!isElseIf(node)) {
+            checkIfChain(node);
+        }
+
         if (!("IfStatement" in options)) {
             return;
         }
 
         var leadingWhitespace = getWhitespaceBefore(node);
-        checkBlock(node.consequent, options.IfStatement, leadingWhitespace, node);
-        checkBlock(node.alternate, options.IfStatement, leadingWhitespace, node);
+        checkBlock(node.consequent, "IfStatement", leadingWhitespace, node);
+        checkBlock(node.alternate, "IfStatement", leadingWhitespace, node);
 
-        if (node.alternate) {
+        // consistent chains place every `else` of the chain at once
+        if (node.alternate && !options.consistentChains) {
             var tokens = sourceCode.getTokensBefore(node.alternate, 2);
-            checkForCuddled(node.alternate, tokens[0], tokens[1], options.IfStatement && !options.noCuddledElse && isBlock(node.consequent), leadingWhitespace);
+            checkForCuddled(node.alternate, tokens[0], tokens[1], options.IfStatement && !options.noCuddledElse && isBlock(node.consequent), leadingWhitespace, { construct: "'else' clause", type: "IfStatement" });
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    // If chains
+    //--------------------------------------------------------------------------
+
+    function isElseIf(node) {
+        return node.parent.type === "IfStatement" && node.parent.alternate === node;
+    }
+
+    /**
+     * Gets the branches of an `if`/`else if`/`else` chain, each with the
+     * token before its body and the `else` which introduces it.
+     * @param {ASTNode} node The IfStatement which starts the chain.
+     * @returns {Object[]} The branches, in order, with the `owner` statement,
+     *      its `body`, the `previousToken` before the body, and the
+     *      `elseToken`, which the first branch does not have.
+     * @private
+     */
+    function getChainBranches(node) {
+        var branches = [],
+            elseToken = null;
+
+        while (node) {
+            branches.push({
+                owner: node,
+                body: node.consequent,
+                previousToken: sourceCode.getTokenBefore(node.consequent),
+                elseToken: elseToken
+            });
+
+            if (!node.alternate) {
+                break;
+            }
+
+            elseToken = sourceCode.getTokenBefore(node.alternate);
+
+            if (node.alternate.type !== "IfStatement") {
+                branches.push({
+                    owner: node,
+                    body: node.alternate,
+                    previousToken: elseToken,
+                    elseToken: elseToken
+                });
+                break;
+            }
+
+            node = node.alternate;
+        }
+
+        return branches;
+    }
+
+    /**
+     * Creates the edit which wraps the body of a branch in curly braces. The
+     * braces are placed as the style places the braces of `if` statements,
+     * and the body starts the line after the opening brace.
+     * @param {Object} branch The branch.
+     * @returns {?Object} The edit, or null if comments keep the body from
+     *      being wrapped.
+     * @private
+     */
+    function wrapBranch(branch) {
+        var whitespace = getWhitespaceBefore(branch.previousToken === branch.elseToken ? branch.elseToken : branch.owner),
+            expected = getExpectedBraceIndent(branch.owner, whitespace);
+
+        return fixers.wrapInBraces(branch.body, {
+            open: options.IfStatement === false ? fixers.lineBreak + (expected.open === null ? whitespace : expected.open) + "{" : " {",
+            whitespace: indentation.nest(whitespace),
+            close: fixers.lineBreak + (expected.close === null ? whitespace : expected.close) + "}"
+        });
+    }
+
+    /**
+     * Reports a chain whose branches are braced and unbraced, and wraps the
+     * unbraced ones. Chains with empty bodies, such as `if (a);`, are left
+     * alone.
+     * @param {ASTNode} node The IfStatement which starts the chain.
+     * @param {Object[]} branches The branches of the chain.
+     * @returns {boolean} True if the chain was reported.
+     * @private
+     */
+    function checkChainBraces(node, branches) {
+        var unbraced = branches.filter(function(branch) {
+            return !isBlock(branch.body);
+        });
+
+        if (!unbraced.length || unbraced.length === branches.length || _.some(unbraced, { body: { type: "EmptyStatement" } })) {
+            return false;
+        }
+
+        var edits = unbraced.map(wrapBranch),
+            descriptor = {
+                node: node,
+                messageId: "inconsistentChainBraces",
+                data: { type: "IfStatement" }
+            };
+
+        // comments before a body may keep it from being wrapped
+        if (edits.indexOf(null) === -1) {
+            descriptor.fix = fixers.replaceRanges(edits);
+        }
+
+        report(descriptor);
+
+        return true;
+    }
+
+    /**
+     * Reports a chain whose `else` keywords are not all placed as expected.
+     * The brace style decides when it covers `if` statements; otherwise each
+     * `else` is placed as the first one is.
+     * @param {ASTNode} node The IfStatement which starts the chain.
+     * @param {Object[]} branches The branches of the chain.
+     * @returns {void}
+     * @private
+     */
+    function checkChainElse(node, branches) {
+        var elseTokens = _.map(branches.slice(1), "elseToken");
+
+        function isCuddled(elseToken) {
+            return sourceCode.getTokenBefore(elseToken).loc.end.line === elseToken.loc.start.line;
+        }
+
+        function isTooLong(elseToken) {
+            return expectCuddled && exceedsMaxLength(removeBreakBetween(sourceCode.getTokenBefore(elseToken), elseToken));
+        }
+
+        var expectCuddled = "IfStatement" in options ? options.IfStatement && !options.noCuddledElse && isBlock(node.consequent) : isCuddled(elseTokens[0]),
+            misplaced = _.partition(elseTokens.filter(function(elseToken) {
+                return isCuddled(elseToken) !== expectCuddled;
+            }), isTooLong);
+
+        misplaced[0].forEach(function(elseToken) {
+            reportMaxLength(node, elseToken.loc.start);
+        });
+
+        misplaced = misplaced[1];
+
+        if (!misplaced.length) {
+            return;
+        }
+
+        var whitespace = getWhitespaceBefore(node),
+            descriptor = {
+                node: node,
+                messageId: "inconsistentChainElse",
+                data: { placement: expectCuddled ? "share the line of the branch before it" : "start a new line", type: "IfStatement" }
+            };
+
+        // comments before an `else` stay where they are
+        var movable = misplaced.filter(function(elseToken) {
+            return !fixers.getCommentsBetween(sourceCode.getTokenBefore(elseToken), elseToken).length;
+        });
+
+        if (movable.length) {
+            descriptor.fix = fixers.replaceRanges(movable.map(function(elseToken) {
+                return {
+                    range: [sourceCode.getTokenBefore(elseToken).range[1], elseToken.range[0]],
+                    text: expectCuddled ? " " : fixers.lineBreak + whitespace
+                };
+            }));
+        }
+
+        report(descriptor);
+    }
+
+    /**
+     * Reports a chain where an `else` and the `if` after it are on different
+     * lines, and joins every such pair.
+     * @param {ASTNode} node The IfStatement which starts the chain.
+     * @param {Object[]} branches The branches of the chain.
+     * @returns {void}
+     * @private
+     */
+    function checkChainElseIf(node, branches) {
+        var split = _.partition(branches.filter(function(branch) {
+            return branch.elseToken && branch.body === branch.owner.consequent &&
+                branch.elseToken.loc.end.line !== branch.owner.loc.start.line;
+        }), function(branch) {
+            return exceedsMaxLength(removeBreakBetween(branch.elseToken, sourceCode.getFirstToken(branch.owner)));
+        });
+
+        split[0].forEach(function(branch) {
+            reportMaxLength(node, branch.elseToken.loc.start);
+        });
+
+        split = split[1];
+
+        if (!split.length) {
+            return;
+        }
+
+        var descriptor = {
+                node: node,
+                messageId: "splitElseIf",
+                data: { type: "IfStatement" }
+            },
+            joinable = split.every(function(branch) {
+                return !fixers.getCommentsBetween(branch.elseToken, branch.owner).length;
+            });
+
+        if (joinable) {
+            descriptor.fix = fixers.replaceRanges(split.map(function(branch) {
+                return { range: [branch.elseToken.range[1], branch.owner.range[0]], text: " " };
+            }));
+        }
+
+        report(descriptor);
+    }
+
+    /**
+     * Enforces the chain-level options on an `if`/`else if`/`else` chain,
+     * reporting each problem once for the whole chain.
+     * @param {ASTNode} node The IfStatement which starts the chain.
+     * @returns {void}
+     * @private
+     */
+    function checkIfChain(node) {
+        var branches = getChainBranches(node);
+
+        if (branches.length < 2) {
+            return;
+        }
+
+        // the `else` keywords are placed once every branch is braced alike
+        if (options.consistentChains && !checkChainBraces(node, branches)) {
+            checkChainElse(node, branches);
+        }
+
+        if (options.requireElseIfOnOneLine) {
+            checkChainElseIf(node, branches);
         }
     }
 
@@ -235,41 +938,66 @@ var factory = function(context) {
         }
 
         var leadingWhitespace = getWhitespaceBefore(node);
-        checkBlock(node.block, options.TryStatement, leadingWhitespace, node);
+        checkBlock(node.block, "TryStatement", leadingWhitespace, node);
 
         if (node.handler) {
-            checkBlock(node.handler.body, options.TryStatement, leadingWhitespace, node.handler);
+            checkBlock(node.handler.body, "TryStatement", leadingWhitespace, node.handler);
 
             if (isBlock(node.handler.body)) {
                 var previousToken = sourceCode.getTokenBefore(node.handler),
                     firstToken = sourceCode.getFirstToken(node.handler);
 
-                checkForCuddled(node.handler, previousToken, firstToken, options.TryStatement && !options.noCuddledCatchFinally, leadingWhitespace);
+                checkForCuddled(node.handler, previousToken, firstToken, options.TryStatement && !options.noCuddledCatchFinally, leadingWhitespace, { construct: "'catch' clause", type: "TryStatement" });
             }
         }
 
         if (node.finalizer) {
-            checkBlock(node.finalizer, options.TryStatement, leadingWhitespace, node);
+            checkBlock(node.finalizer, "TryStatement", leadingWhitespace, node);
 
             if (isBlock(node.finalizer)) {
                 var tokens = sourceCode.getTokensBefore(node.finalizer, 2);
-                checkForCuddled(node.finalizer, tokens[0], tokens[1], options.TryStatement && !options.noCuddledCatchFinally, leadingWhitespace);
+                checkForCuddled(node.finalizer, tokens[0], tokens[1], options.TryStatement && !options.noCuddledCatchFinally, leadingWhitespace, { construct: "'finally' clause", type: "TryStatement" });
             }
         }
     }
 
-    function checkCatchClause(node) {
-        var previousToken = sourceCode.getTokenBefore(node),
-            firstToken = sourceCode.getFirstToken(node);
+    /**
+     * Enforces the configured brace style on DoWhileStatements, including
+     * whether the `while` is cuddled with the closing curly brace.
+     * @param {ASTNode} node A DoWhileStatement node.
+     * @returns {void}
+     * @private
+     */
+    function checkDoWhileStatement(node) {
+        if (!("DoWhileStatement" in options)) {
+            return;
+        }
 
-        // checkBlock("CatchClause", "body")(node);
-        checkBlock(node.body, options.TryStatement, "", node);
+        var leadingWhitespace = getWhitespaceBefore(node);
+        checkBlock(node.body, "DoWhileStatement", leadingWhitespace, node);
 
         if (isBlock(node.body)) {
-            checkForCuddled(node, previousToken, firstToken, options.TryStatement && !options.noCuddledCatchFinally);
+            var closeToken = sourceCode.getLastToken(node.body);
+
+            checkForCuddled(node, closeToken, sourceCode.getTokenAfter(closeToken), options.DoWhileStatement && !options.noCuddledWhile, leadingWhitespace, { construct: "'while' condition", type: "DoWhileStatement" });
         }
     }
 
+    /**
+     * Gets the token before the opening curly brace of a switch statement,
+     * along with the brace itself.
+     * @param {ASTNode} node A SwitchStatement node.
+     * @returns {Object[]} The preceding token and the opening curly brace.
+     * @private
+     */
+    function getSwitchBraceTokens(node) {
+        if (node.cases && node.cases.length) {
+            return sourceCode.getTokensBefore(node.cases[0], 2);
+        }
+
+        return sourceCode.getLastTokens(node, 3);
+    }
+
     /**
      * Enforces the configured brace style on SwitchStatements
      * @param {ASTNode} node A SwitchStatement node.
@@ -280,73 +1008,455 @@ var factory = function(context) {
         if (!("SwitchStatement" in options)) {
             return;
         }
-        
-        var tokens;
 
-        if (node.cases && node.cases.length) {
-            tokens = sourceCode.getTokensBefore(node.cases[0], 2);
-        } else {
-            tokens = sourceCode.getLastTokens(node, 3);
+        var tokens = getSwitchBraceTokens(node),
+            closeToken = sourceCode.getLastToken(node);
+
+        if (tokens[0].loc.start.line === closeToken.loc.start.line && isSingleLineAllowed("SwitchStatement", node.cases, closeToken)) {
+            return;
+        }
+
+        var whitespace = getWhitespaceBefore(node),
+            expected = getExpectedBraceIndent(node, whitespace);
+
+        var data = { construct: constructs.describe(node), type: "SwitchStatement" };
+
+        if (checkEmptyBlock(node, node.cases, tokens[1], closeToken, data)) {
+            return;
         }
 
         var sameLine = tokens[0].loc.start.line === tokens[1].loc.start.line;
-        if (options.SwitchStatement !== sameLine) {
-            context.report({
-                node: node,
-                message: sameLine ? OPEN_MESSAGE_ALLMAN : OPEN_MESSAGE,
-                fix: sameLine ? insertBreakBefore(tokens[1], getWhitespaceBefore(node)) : removeBreakBetween(tokens[0], tokens[1])
+        if (isSameLineExpected("SwitchStatement", node, tokens[0]) !== sameLine) {
+            checkOpeningLine(node, tokens[0], tokens[1], closeToken, sameLine, data, whitespace, expected);
+        }
+
+        checkBraceIndent(node, tokens[1], closeToken, whitespace, expected, data);
+        checkBlockBody(node.cases, tokens[1], closeToken, whitespace, expected, data);
+    }
+
+    /**
+     * Enforces the configured brace style on a block which opens the
+     * statements of a `case` or `default` clause.
+     * @param {ASTNode} node A SwitchCase node.
+     * @returns {void}
+     * @private
+     */
+    function checkSwitchCase(node) {
+        if (!("SwitchCase" in options) || !node.consequent.length) {
+            return;
+        }
+
+        checkBlock(node.consequent[0], "SwitchCase", getWhitespaceBefore(node), node);
+    }
+
+    /**
+     * Enforces the configured brace style on blocks which stand on their own
+     * as statements. They have no controlling statement, and the token before
+     * them belongs to another statement, so only the statements inside the
+     * braces and the closing brace are checked.
+     * @param {ASTNode} node A BlockStatement node.
+     * @returns {void}
+     * @private
+     */
+    function checkBlockStatement(node) {
+        if (!("BlockStatement" in options) || !constructs.isStandaloneBlock(node)) {
+            return;
+        }
+
+        var curlyToken = sourceCode.getFirstToken(node),
+            curlyTokenEnd = sourceCode.getLastToken(node);
+
+        if (curlyToken.loc.start.line === curlyTokenEnd.loc.start.line && isSingleLineAllowed("BlockStatement", node.body, curlyTokenEnd)) {
+            return;
+        }
+
+        var data = { construct: constructs.describe(node), type: "BlockStatement" };
+
+        if (!checkEmptyBlock(node, node.body, curlyToken, curlyTokenEnd, data)) {
+            checkBlockBody(node.body, curlyToken, curlyTokenEnd, getWhitespaceBefore(node), { open: null, close: null }, data);
+        }
+    }
+
+    /**
+     * Enforces the configured brace style on a labeled block, whose opening
+     * brace follows the label. The body of a labeled loop is checked for the
+     * loop.
+     * @param {ASTNode} node A LabeledStatement node.
+     * @returns {void}
+     * @private
+     */
+    function checkLabeledStatement(node) {
+        if (!("LabeledStatement" in options)) {
+            return;
+        }
+
+        checkBlock(node.body, "LabeledStatement", getWhitespaceBefore(node), node);
+    }
+
+    /**
+     * Creates a check of the body of a TypeScript declaration, which is the
+     * node reported for its block type. The statement is indented as the
+     * line its header begins on.
+     * @param {string} type The block type.
+     * @returns {Function} The check, taking the node of the body.
+     * @private
+     */
+    function checkDeclarationBody(type) {
+        if (!(type in options)) {
+            return _.noop;
+        }
+
+        return function(node) {
+            checkBlock(node, type, getWhitespaceBefore(constructs.getHeaderNode(node)), node);
+        };
+    }
+
+    //--------------------------------------------------------------------------
+    // Style inference
+    //--------------------------------------------------------------------------
+
+    /**
+     * Calls back for a node and each of its descendants.
+     * @param {ASTNode} node The node to start from.
+     * @param {ASTNode} parent The parent of the node.
+     * @param {Function} callback Called with each node and its parent.
+     * @returns {void}
+     * @private
+     */
+    function traverse(node, parent, callback) {
+        // older versions of ESLint link nodes to their parents while they
+        // traverse, which is after the Program node is visited
+        if (parent && !node.parent) {
+            node.parent = parent;
+        }
+
+        callback(node, parent);
+
+        Object.keys(node).forEach(function(key) {
+            if (key === "parent" || key === "tokens" || key === "comments" || key === "leadingComments" || key === "trailingComments") {
+                return;
+            }
+
+            [].concat(node[key]).forEach(function(child) {
+                if (child && typeof child.type === "string" && child.loc) {
+                    traverse(child, node, callback);
+                }
             });
+        });
+    }
+
+    /**
+     * Calls back for the opening brace of each block of the file, and for
+     * each `else`, `catch`, `finally` and `while` which follows a closing
+     * brace.
+     * @param {ASTNode} ast The Program node.
+     * @param {Function} callback Called with the key of the brace, which is
+     *      its block type or the `noCuddled*` option of the keyword, the token
+     *      before it, the brace or keyword, the node which owns it, for blocks
+     *      the closing brace, and the node whose type the brace is counted
+     *      under, which is the try statement of a `catch` block.
+     * @returns {void}
+     * @private
+     */
+    function visitBraces(ast, callback) {
+        function visitBlock(key, node, owner, statement) {
+            if (!isBlock(node)) {
+                return;
+            }
+
+            var curlyToken = getOpeningBrace(node);
+
+            callback(key, sourceCode.getTokenBefore(curlyToken), curlyToken, owner, sourceCode.getLastToken(node), statement || owner);
+        }
+
+        function visitCuddled(key, tokens, owner) {
+            if (isCurlyPunctuator(tokens[0])) {
+                callback(key, tokens[0], tokens[1], owner, null, owner);
+            }
+        }
+
+        function visitSwitch(node) {
+            var tokens = getSwitchBraceTokens(node);
+
+            callback(node.type, tokens[0], tokens[1], node, sourceCode.getLastToken(node), node);
         }
+
+        traverse(ast, null, function(node, parent) {
+            switch (node.type) {
+                case "FunctionExpression":
+                    if (parent && parent.type === "MethodDefinition") {
+                        visitBlock("MethodDefinition", node.body, parent);
+                    } else {
+                        visitBlock(node.type, node.body, node);
+                    }
+                    break;
+
+                case "StaticBlock":
+                    visitBlock(node.type, node, node);
+                    break;
+
+                case "IfStatement":
+                    visitBlock(node.type, node.consequent, node);
+                    visitBlock(node.type, node.alternate, node);
+
+                    if (node.alternate && isBlock(node.consequent)) {
+                        visitCuddled("noCuddledElse", sourceCode.getTokensBefore(node.alternate, 2), node);
+                    }
+                    break;
+
+                case "TryStatement":
+                    visitBlock(node.type, node.block, node);
+
+                    if (node.handler) {
+                        visitBlock(node.type, node.handler.body, node.handler, node);
+                        visitCuddled("noCuddledCatchFinally", [sourceCode.getTokenBefore(node.handler), sourceCode.getFirstToken(node.handler)], node);
+                    }
+
+                    if (node.finalizer) {
+                        visitBlock(node.type, node.finalizer, node);
+                        visitCuddled("noCuddledCatchFinally", sourceCode.getTokensBefore(node.finalizer, 2), node);
+                    }
+                    break;
+
+                case "DoWhileStatement":
+                    visitBlock(node.type, node.body, node);
+
+                    if (isBlock(node.body)) {
+                        visitCuddled("noCuddledWhile", [sourceCode.getLastToken(node.body), sourceCode.getTokenAfter(node.body)], node);
+                    }
+                    break;
+
+                case "SwitchStatement":
+                    visitSwitch(node);
+                    break;
+
+                case "SwitchCase":
+                    visitBlock(node.type, node.consequent[0], node);
+                    break;
+
+                case "TSInterfaceBody":
+                case "TSEnumDeclaration":
+                case "TSModuleBlock":
+                case "TSTypeLiteral":
+                    visitBlock(node.type, node, node);
+                    break;
+
+                default:
+                    if (blocks.indexOf(node.type) !== -1 && node.type !== "MethodDefinition") {
+                        visitBlock(node.type, node.body, node);
+                    }
+            }
+        });
+    }
+
+    /**
+     * Counts how the braces of the file are placed for each block type, along
+     * with how often `else`, `catch`, `finally` and `while` are cuddled, and
+     * replaces the options with the majority for each. Ties favor the brace on
+     * the same line.
+     * @param {ASTNode} ast The Program node.
+     * @returns {void}
+     * @private
+     */
+    function inferOptions(ast) {
+        var tally = {};
+
+        visitBraces(ast, function(key, previousToken, token, owner, closeToken) {
+
+            // blocks which fit on one line say nothing about the style, nor
+            // do those whose placement is decided by `multilineHeader` or a
+            // context
+            if (closeToken && (previousToken.loc.start.line === closeToken.loc.start.line ||
+                    (key in multilineHeader && constructs.isMultilineHeader(owner, previousToken)) || getContext(owner))) {
+                return;
+            }
+
+            tally[key] = tally[key] || { same: 0, next: 0 };
+            tally[key][previousToken.loc.start.line === token.loc.start.line ? "same" : "next"]++;
+        });
+
+        var overall = blocks.reduce(function(acc, type) {
+            if (tally[type]) {
+                acc.same += tally[type].same;
+                acc.next += tally[type].next;
+            }
+
+            return acc;
+        }, { same: 0, next: 0 });
+
+        blocks.forEach(function(type) {
+            var counts = options.consistentScope === "file" ? overall : tally[type];
+
+            if (counts) {
+                options[type] = counts.same >= counts.next;
+            }
+        });
+
+        ["noCuddledElse", "noCuddledCatchFinally", "noCuddledWhile"].forEach(function(key) {
+            if (tally[key] && !_.has(context.options[1], key)) {
+                options[key] = tally[key].next > tally[key].same;
+            }
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    // Audit
+    //--------------------------------------------------------------------------
+
+    /**
+     * Reports where each opening brace of the file is placed, and whether each
+     * `else`, `catch`, `finally` and `while` is cuddled, without enforcing
+     * anything.
+     * @param {ASTNode} ast The Program node.
+     * @returns {void}
+     * @private
+     */
+    function auditBraces(ast) {
+        visitBraces(ast, function(key, previousToken, token, owner, closeToken, statement) {
+            var sameLine = previousToken.loc.start.line === token.loc.start.line,
+                messageId;
+
+            if (!closeToken) {
+                messageId = sameLine ? "auditCuddled" : "auditNotCuddled";
+            } else if (previousToken.loc.start.line === closeToken.loc.start.line) {
+                messageId = "auditSingleLine";
+            } else {
+                messageId = sameLine ? "auditSameLine" : "auditNextLine";
+            }
+
+            report({
+                node: statement,
+                loc: token.loc.start,
+                messageId: messageId,
+                data: {
+                    type: statement.type,
+                    keyword: token.value
+                }
+            });
+        });
+    }
+
+    /**
+     * Creates the listeners of the audit mode. Besides reporting the braces,
+     * the rule is run with each preset and the same options object, counting
+     * the problems it would fix, which are reported once the file is done.
+     * Problems reported without a fix, such as lines kept apart by
+     * `maxLength`, are not counted.
+     * @returns {Object} The listeners.
+     * @private
+     */
+    function createAuditListeners() {
+        var listeners = { Program: [auditBraces] },
+            fixes = {};
+
+        Object.keys(braceOptions.styles).forEach(function(name) {
+            var presetContext = Object.create(context, {
+                options: { value: [name].concat(context.options.slice(1)) },
+                report: {
+                    value: function(descriptor) {
+                        if (descriptor.fix && fixers.getEdit(descriptor.fix)) {
+                            fixes[name]++;
+                        }
+                    }
+                }
+            });
+
+            fixes[name] = 0;
+
+            _.forEach(factory(presetContext), function(listener, key) {
+                listeners[key] = (listeners[key] || []).concat(listener);
+            });
+        });
+
+        listeners["Program:exit"] = [function(ast) {
+            report({
+                node: ast,
+                loc: { line: 1, column: 0 },
+                messageId: "auditFixes",
+                data: {
+                    fixes: _.map(fixes, function(count, name) {
+                        return name + "=" + count;
+                    }).join(", ")
+                }
+            });
+        }];
+
+        return _.mapValues(listeners, function(group) {
+            return function(node) {
+                group.forEach(function(listener) {
+                    listener(node);
+                });
+            };
+        });
     }
 
     //--------------------------------------------------------------------------
     // Public
     //--------------------------------------------------------------------------
 
+    if (audit) {
+        return createAuditListeners();
+    }
+
     return {
+        Program: inferStyle ? inferOptions : _.noop,
         FunctionDeclaration: checkNode("FunctionDeclaration"),
-        FunctionExpression: checkNode("FunctionExpression"),
+        FunctionExpression: checkFunctionExpression,
         ArrowFunctionExpression: checkNode("ArrowFunctionExpression"),
+        ClassDeclaration: checkNode("ClassDeclaration"),
+        ClassExpression: checkNode("ClassExpression"),
+        MethodDefinition: checkMethodDefinition,
+        StaticBlock: checkStaticBlock,
         IfStatement: checkIfStatement,
         TryStatement: checkTryStatement,
-        DoWhileStatement: checkNode("DoWhileStatement"),
+        DoWhileStatement: checkDoWhileStatement,
         WhileStatement: checkNode("WhileStatement"),
         WithStatement: checkNode("WithStatement"),
         ForStatement: checkNode("ForStatement"),
         ForInStatement: checkNode("ForInStatement"),
         ForOfStatement: checkNode("ForOfStatement"),
-        SwitchStatement: checkSwitchStatement
+        SwitchStatement: checkSwitchStatement,
+        SwitchCase: checkSwitchCase,
+        BlockStatement: checkBlockStatement,
+        LabeledStatement: checkLabeledStatement,
+        TSInterfaceBody: checkDeclarationBody("TSInterfaceBody"),
+        TSEnumDeclaration: checkDeclarationBody("TSEnumDeclaration"),
+        TSModuleBlock: checkDeclarationBody("TSModuleBlock"),
+        TSTypeLiteral: checkDeclarationBody("TSTypeLiteral")
     };
 };
 
 module.exports = {
-    meta: {
+    meta: compat.createMeta({
+        type: "layout",
+
+        docs: {
+            description: "enforce the placement of the braces of blocks"
+        },
+
         fixable: "whitespace",
+        hasSuggestions: true,
+        messages: messages,
 
         schema: [
             {
-                oneOf: [
-                    { enum: ["1tbs", "stroustrup", "allman"] },
-                    {
-                        type: "object",
-                        properties: blocks.reduce(function(acc, type) {
-                            acc[type] = { enum: ["always", "never", "ignore"] };
-                            return acc;
-                        }, {})
-                    }
-                ]
+                oneOf: braceOptions.styleSchema.oneOf.map(function(schema) {
+                    return schema.enum ? { enum: schema.enum.concat("consistent", "audit") } : schema;
+                })
             },
             {
                 type: "object",
-                properties: { 
-                    allowSingleLine: { type: "boolean" },
-                    noCuddledElse: { type: "boolean" },
-                    noCuddledCatchFinally: { type: "boolean" }
-                },
+                properties: _.assign({
+                    consistentScope: { enum: ["type", "file"] },
+                    consistentChains: { type: "boolean" },
+                    requireElseIfOnOneLine: { type: "boolean" },
+                    maxLength: { type: "integer", minimum: 1 },
+                    tabWidth: { type: "integer", minimum: 1 }
+                }, braceOptions.optionProperties),
                 additionalProperties: false
             }
         ]
-    },
+    }),
 
     create: factory
 };
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Rule to control the blank lines after the opening brace and
+ * before the closing brace of blocks.
+ * @author Joshua Searles
+ */
+"use strict";
+
+var _ = require("lodash"),
+    createFixers = require("../utils/fixers"),
+    createConstructs = require("../utils/constructs"),
+    createBlockListeners = require("../utils/block-listeners"),
+    braceOptions = require("../utils/brace-options"),
+    compat = require("../utils/compat");
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+var messages = {
+    missingAfterOpening: "Expected a blank line after the opening brace of {{construct}}.",
+    unexpectedAfterOpening: "Unexpected blank line after the opening brace of {{construct}}.",
+    missingBeforeClosing: "Expected a blank line before the closing brace of {{construct}}.",
+    unexpectedBeforeClosing: "Unexpected blank line before the closing brace of {{construct}}."
+};
+
+var factory = function(context) {
+    var sourceCode = compat.getSourceCode(context),
+        report = compat.createReport(context, messages),
+        options = braceOptions.parse(context.options[0] || "never", context.options[1]),
+        multilineHeader = braceOptions.getMultilineHeader(options),
+        fixers = createFixers(sourceCode),
+        constructs = createConstructs(sourceCode);
+
+    //--------------------------------------------------------------------------
+    // Helpers
+    //--------------------------------------------------------------------------
+
+    /**
+     * Gets the first token or comment after the opening brace of a block.
+     * @param {Object} openToken The opening curly brace.
+     * @returns {Object} The token or comment.
+     * @private
+     */
+    function getFirstInside(openToken) {
+        var token = sourceCode.getTokenAfter(openToken);
+
+        return fixers.getCommentsBetween(openToken, token)[0] || token;
+    }
+
+    /**
+     * Gets the last token or comment before the closing brace of a block.
+     * @param {Object} closeToken The closing curly brace.
+     * @returns {Object} The token or comment.
+     * @private
+     */
+    function getLastInside(closeToken) {
+        var token = sourceCode.getTokenBefore(closeToken);
+
+        return _.last(fixers.getCommentsBetween(token, closeToken)) || token;
+    }
+
+    function isFirstOnLine(token) {
+        return (/^\s*$/).test(sourceCode.lines[token.loc.start.line - 1].slice(0, token.loc.start.column));
+    }
+
+    /**
+     * Determines if a blank line is expected after the opening brace. After a
+     * multi-line controlling statement `multilineHeader` decides instead, but
+     * a brace on a line of its own already sets the body apart from the
+     * statement, so no blank line follows it.
+     * @param {string} type The block type.
+     * @param {ASTNode} node The node which owns the block.
+     * @param {Object} openToken The opening curly brace.
+     * @returns {boolean} True if a blank line is expected.
+     * @private
+     */
+    function isOpeningPaddingExpected(type, node, openToken) {
+        if (type in multilineHeader && constructs.isMultilineHeader(node, sourceCode.getTokenBefore(openToken))) {
+            return multilineHeader[type] && !isFirstOnLine(openToken);
+        }
+
+        return options[type];
+    }
+
+    /**
+     * Verifies the blank lines inside the braces of a block which spans
+     * multiple lines. Empty blocks, and braces which share their line with
+     * the body, are left alone.
+     * @param {ASTNode} node The node which owns the block, which is reported.
+     * @param {ASTNode} block The block, for nodes which own several.
+     * @param {Object} openToken The opening curly brace.
+     * @param {Object} closeToken The closing curly brace.
+     * @returns {void}
+     * @private
+     */
+    function checkBraces(node, block, openToken, closeToken) {
+        var first = getFirstInside(openToken),
+            last = getLastInside(closeToken);
+
+        if (first.range[0] === closeToken.range[0] || openToken.loc.start.line === closeToken.loc.start.line) {
+            return;
+        }
+
+        // a `catch` block is reported on its clause, but configured with `try`
+        var type = node.type === "CatchClause" ? "TryStatement" : node.type,
+            construct = constructs.describe(node, block),
+            expected,
+            padded;
+
+        if (first.loc.start.line !== openToken.loc.end.line) {
+            expected = isOpeningPaddingExpected(type, node, openToken);
+            padded = first.loc.start.line > openToken.loc.end.line + 1;
+
+            if (padded !== expected) {
+                report({
+                    node: node,
+                    loc: openToken.loc.start,
+                    messageId: expected ? "missingAfterOpening" : "unexpectedAfterOpening",
+                    data: { construct: construct },
+                    fix: expected ? fixers.insertBlankLineAfter(openToken) : fixers.removeBlankLinesBetween(openToken, first)
+                });
+            }
+        }
+
+        if (last.loc.end.line !== closeToken.loc.start.line) {
+            expected = options[type];
+            padded = closeToken.loc.start.line > last.loc.end.line + 1;
+
+            if (padded !== expected) {
+                report({
+                    node: node,
+                    loc: closeToken.loc.start,
+                    messageId: expected ? "missingBeforeClosing" : "unexpectedBeforeClosing",
+                    data: { construct: construct },
+                    fix: expected ? fixers.insertBlankLineAfter(last) : fixers.removeBlankLinesBetween(last, closeToken)
+                });
+            }
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    // Public
+    //--------------------------------------------------------------------------
+
+    var checks = createBlockListeners(sourceCode, checkBraces);
+
+    // ignored block types are left unchecked
+    return _.pickBy(checks, function(check, type) {
+        return type in options;
+    });
+};
+
+module.exports = {
+    meta: compat.createMeta({
+        type: "layout",
+
+        docs: {
+            description: "require or disallow blank lines at the beginning and end of blocks"
+        },
+
+        fixable: "whitespace",
+        messages: messages,
+
+        schema: [
+            {
+                oneOf: [
+                    { enum: ["always", "never"] },
+                    braceOptions.blockSchema
+                ]
+            },
+            {
+                type: "object",
+                properties: {
+                    multilineHeader: braceOptions.optionProperties.multilineHeader
+                },
+                additionalProperties: false
+            }
+        ]
+    }),
+
+    create: factory
+};
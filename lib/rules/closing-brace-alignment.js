@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Rule to align the closing brace of a block with the line
+ * which opens it.
+ * @author Joshua Searles
+ */
+"use strict";
+
+var _ = require("lodash"),
+    createIndentation = require("../utils/indentation"),
+    createFixers = require("../utils/fixers"),
+    createConstructs = require("../utils/constructs"),
+    createBlockListeners = require("../utils/block-listeners"),
+    braceOptions = require("../utils/brace-options"),
+    compat = require("../utils/compat");
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+var messages = {
+    misalignedWithOpeningBrace: "Closing brace of {{construct}} is not aligned with its opening brace.",
+    misalignedWithStatement: "Closing brace of {{construct}} is not aligned with the start of its controlling statement."
+};
+
+var factory = function(context) {
+    var sourceCode = compat.getSourceCode(context),
+        report = compat.createReport(context, messages),
+        options = braceOptions.parse(context.options[0], context.options[1]),
+        indentation = createIndentation(sourceCode, options.indent),
+        fixers = createFixers(sourceCode),
+        constructs = createConstructs(sourceCode);
+
+    //--------------------------------------------------------------------------
+    // Helpers
+    //--------------------------------------------------------------------------
+
+    /**
+     * Gets the text which precedes a token on its line.
+     * @param {Object} token The token.
+     * @returns {string} The text from the start of the line up to the token.
+     * @private
+     */
+    function getTextBeforeOnLine(token) {
+        return sourceCode.lines[token.loc.start.line - 1].slice(0, token.loc.start.column);
+    }
+
+    /**
+     * Verifies that a closing brace which starts its line is in the column of
+     * the opening brace, when that starts its line too, or otherwise in the
+     * column of the line the controlling statement begins on. Ratliff style
+     * indents the closing brace one level further.
+     * @param {ASTNode} node The node to report.
+     * @param {ASTNode} block The block, for nodes which own several.
+     * @param {Object} openToken The opening curly brace.
+     * @param {Object} closeToken The closing curly brace.
+     * @param {Object} headerToken The first token of the controlling statement.
+     * @returns {void}
+     * @private
+     */
+    function checkBraces(node, block, openToken, closeToken, headerToken) {
+        var closeIndent = getTextBeforeOnLine(closeToken);
+
+        if (openToken.loc.start.line === closeToken.loc.start.line || !(/^\s*$/).test(closeIndent)) {
+            return;
+        }
+
+        var openIndent = getTextBeforeOnLine(openToken),
+            alignWithBrace = (/^\s*$/).test(openIndent),
+            expected;
+
+        if (alignWithBrace) {
+            expected = openIndent;
+        } else {
+            expected = indentation.getLineIndent(headerToken);
+
+            if (options.braceIndent === "ratliff") {
+                expected = indentation.nest(expected);
+            }
+        }
+
+        if (indentation.measure(closeIndent) !== indentation.measure(expected)) {
+            report({
+                node: node,
+                loc: closeToken.loc.start,
+                messageId: alignWithBrace ? "misalignedWithOpeningBrace" : "misalignedWithStatement",
+                data: { construct: constructs.describe(node, block) },
+                fix: fixers.replaceIndent(closeToken, expected)
+            });
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    // Public
+    //--------------------------------------------------------------------------
+
+    var checks = createBlockListeners(sourceCode, checkBraces);
+
+    // block types which are ignored by the style are left unchecked
+    return _.pickBy(checks, function(check, type) {
+        return type in options;
+    });
+};
+
+module.exports = {
+    meta: compat.createMeta({
+        type: "layout",
+
+        docs: {
+            description: "enforce the alignment of the closing braces of blocks with the lines which open them"
+        },
+
+        fixable: "whitespace",
+        messages: messages,
+
+        schema: [
+            braceOptions.styleSchema,
+            {
+                type: "object",
+                properties: braceOptions.optionProperties,
+                additionalProperties: false
+            }
+        ]
+    }),
+
+    create: factory
+};
@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Rules around placement of the braces of object literals,
+ * destructuring patterns and import/export specifier lists.
+ * @author Joshua Searles
+ */
+"use strict";
+
+var _ = require("lodash"),
+    createIndentation = require("../utils/indentation"),
+    createFixers = require("../utils/fixers"),
+    compat = require("../utils/compat");
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+var literals = [
+    "ObjectExpression",
+    "ObjectPattern",
+    "ImportDeclaration",
+    "ExportNamedDeclaration"
+];
+
+// the tokens an object literal or pattern is placed relative to
+var anchors = ["=", "(", "var", "let", "const"];
+
+var messages = {
+    missingOpeningSameLine: "Opening curly brace does not appear on the same line as '{{token}}'.",
+    unexpectedOpeningSameLine: "Opening curly brace appears on the same line as '{{token}}'.",
+    missingBreakAfterOpening: "Expected a line break after opening curly brace.",
+    unexpectedBreakAfterOpening: "Unexpected line break after opening curly brace.",
+    missingBreakBeforeClosing: "Expected a line break before closing curly brace.",
+    unexpectedBreakBeforeClosing: "Unexpected line break before closing curly brace.",
+    moveAcrossComments: "Move the brace and the comments before it onto the line of '{{token}}'."
+};
+
+var factory = function(context) {
+    var sourceCode = compat.getSourceCode(context),
+        report = compat.createReport(context, messages),
+        style = context.options[0] || "always",
+        inferStyle = style === "consistent",
+        options = _.assign({ multiline: "always" }, context.options[1]);
+
+    if (typeof style === "string") {
+        style = literals.reduce(function(acc, type) {
+            acc[type] = inferStyle ? "always" : style;
+            return acc;
+        }, {});
+    }
+
+    literals.forEach(function(type) {
+        if (type in style && style[type] !== "ignore") {
+            options[type] = style[type] === "always";
+        }
+    });
+
+    var indentation = createIndentation(sourceCode, options.indent),
+        fixers = createFixers(sourceCode);
+
+    //--------------------------------------------------------------------------
+    // Helpers
+    //--------------------------------------------------------------------------
+
+    /**
+     * Gets the curly braces of a literal. Import and export declarations
+     * contain their specifier list, so its braces are searched for before the
+     * module name. Exports of a declaration have no specifier list, and the
+     * braces of the declaration are checked by its own rules.
+     * @param {ASTNode} node The node to get the braces of.
+     * @returns {?Object[]} The opening and closing curly braces, or null when
+     *      the node has no braces.
+     * @private
+     */
+    function getBraces(node) {
+        if (node.type === "ObjectExpression" || node.type === "ObjectPattern") {
+            return [sourceCode.getFirstToken(node), sourceCode.getLastToken(node)];
+        }
+
+        if (node.declaration) {
+            return null;
+        }
+
+        var tokens = _.takeWhile(sourceCode.getTokens(node), function(token) {
+                return !node.source || token.range[0] < node.source.range[0];
+            }),
+            open = _.findIndex(tokens, { value: "{" });
+
+        if (open === -1) {
+            return null;
+        }
+
+        return [tokens[open], _.find(tokens.slice(open), { value: "}" })];
+    }
+
+    /**
+     * Gets the token the opening curly brace is placed relative to, if the
+     * rule checks the literal's placement at all.
+     * @param {ASTNode} node The node which owns the braces.
+     * @param {Object} openToken The opening curly brace.
+     * @returns {?Object} The preceding token, or null.
+     * @private
+     */
+    function getAnchor(node, openToken) {
+        var previousToken = sourceCode.getTokenBefore(openToken);
+
+        if (!previousToken) {
+            return null;
+        }
+
+        if (node.type === "ImportDeclaration" || node.type === "ExportNamedDeclaration") {
+            return previousToken;
+        }
+
+        return anchors.indexOf(previousToken.value) === -1 ? null : previousToken;
+    }
+
+    /**
+     * Enforces the placement of the opening curly brace.
+     * @param {ASTNode} node The node which owns the braces.
+     * @param {Object} openToken The opening curly brace.
+     * @returns {void}
+     * @private
+     */
+    function checkOpening(node, openToken) {
+        var anchor = getAnchor(node, openToken);
+
+        if (!anchor || !(node.type in options)) {
+            return;
+        }
+
+        var sameLine = anchor.loc.end.line === openToken.loc.start.line;
+        if (sameLine === options[node.type]) {
+            return;
+        }
+
+        var descriptor = {
+                node: node,
+                loc: openToken.loc.start,
+                messageId: sameLine ? "unexpectedOpeningSameLine" : "missingOpeningSameLine",
+                data: { token: anchor.value }
+            },
+            fix = sameLine ? fixers.insertBreakBefore(openToken, indentation.getLineIndent(anchor)) : fixers.removeBreakBetween(anchor, openToken, anchor.value === "(" ? "" : " ");
+
+        // moving comments past the brace is left to the user
+        if (!sameLine && fixers.movesComments(anchor, openToken)) {
+            descriptor.suggest = [{ messageId: "moveAcrossComments", data: descriptor.data, fix: fix }];
+        } else {
+            descriptor.fix = fix;
+        }
+
+        report(descriptor);
+    }
+
+    /**
+     * Enforces line breaks after the opening and before the closing curly
+     * brace of a literal which spans multiple lines.
+     * @param {ASTNode} node The node which owns the braces.
+     * @param {Object} openToken The opening curly brace.
+     * @param {Object} closeToken The closing curly brace.
+     * @returns {void}
+     * @private
+     */
+    function checkLineBreaks(node, openToken, closeToken) {
+        var firstToken = sourceCode.getTokenAfter(openToken),
+            lastToken = sourceCode.getTokenBefore(closeToken);
+
+        if (options.multiline === "ignore" || firstToken === closeToken || openToken.loc.start.line === closeToken.loc.start.line) {
+            return;
+        }
+
+        var breakAfterOpen = openToken.loc.end.line !== firstToken.loc.start.line,
+            breakBeforeClose = lastToken.loc.end.line !== closeToken.loc.start.line,
+            expectBreakAfterOpen = options.multiline === "always",
+            expectBreakBeforeClose = options.multiline === "always";
+
+        // the closing brace follows whatever the opening brace does
+        if (options.multiline === "consistent") {
+            expectBreakAfterOpen = expectBreakBeforeClose = breakAfterOpen;
+        }
+
+        var whitespace = indentation.getLineIndent(openToken);
+
+        if (breakAfterOpen !== expectBreakAfterOpen) {
+            report({
+                node: node,
+                loc: openToken.loc.start,
+                messageId: breakAfterOpen ? "unexpectedBreakAfterOpening" : "missingBreakAfterOpening",
+                fix: breakAfterOpen ? fixers.removeBreakBetween(openToken, firstToken) : fixers.insertBreakAfter(openToken, indentation.nest(whitespace))
+            });
+        }
+
+        if (breakBeforeClose !== expectBreakBeforeClose) {
+            report({
+                node: node,
+                loc: closeToken.loc.start,
+                messageId: breakBeforeClose ? "unexpectedBreakBeforeClosing" : "missingBreakBeforeClosing",
+                fix: breakBeforeClose ? fixers.removeBreakBetween(lastToken, closeToken) : fixers.insertBreakBefore(closeToken, whitespace)
+            });
+        }
+    }
+
+    function checkLiteral(node) {
+        var braces = getBraces(node);
+
+        if (!braces) {
+            return;
+        }
+
+        checkOpening(node, braces[0]);
+        checkLineBreaks(node, braces[0], braces[1]);
+    }
+
+    /**
+     * Counts how the opening braces of each type of literal are placed in the
+     * file, and replaces the options with the majority for each. Ties favor
+     * the brace on the same line.
+     * @param {ASTNode} ast The Program node.
+     * @returns {void}
+     * @private
+     */
+    function inferOptions(ast) {
+        var tally = {};
+
+        sourceCode.getTokens(ast).forEach(function(token, index, tokens) {
+            if (token.value !== "{" || index === 0) {
+                return;
+            }
+
+            var node = sourceCode.getNodeByRangeIndex(token.range[0]);
+
+            if (!node || literals.indexOf(node.type) === -1 || (getBraces(node) || [])[0] !== token || !getAnchor(node, token)) {
+                return;
+            }
+
+            tally[node.type] = tally[node.type] || { same: 0, next: 0 };
+            tally[node.type][tokens[index - 1].loc.end.line === token.loc.start.line ? "same" : "next"]++;
+        });
+
+        literals.forEach(function(type) {
+            if (tally[type]) {
+                options[type] = tally[type].same >= tally[type].next;
+            }
+        });
+    }
+
+    //--------------------------------------------------------------------------
+    // Public
+    //--------------------------------------------------------------------------
+
+    return {
+        Program: inferStyle ? inferOptions : _.noop,
+        ObjectExpression: checkLiteral,
+        ObjectPattern: checkLiteral,
+        ImportDeclaration: checkLiteral,
+        ExportNamedDeclaration: checkLiteral
+    };
+};
+
+module.exports = {
+    meta: compat.createMeta({
+        type: "layout",
+
+        docs: {
+            description: "enforce the placement of the braces of object literals, destructuring patterns and import/export specifiers"
+        },
+
+        fixable: "whitespace",
+        hasSuggestions: true,
+        messages: messages,
+
+        schema: [
+            {
+                oneOf: [
+                    { enum: ["always", "never", "consistent"] },
+                    {
+                        type: "object",
+                        properties: literals.reduce(function(acc, type) {
+                            acc[type] = { enum: ["always", "never", "ignore"] };
+                            return acc;
+                        }, {}),
+                        additionalProperties: false
+                    }
+                ]
+            },
+            {
+                type: "object",
+                properties: {
+                    multiline: { enum: ["always", "never", "consistent", "ignore"] },
+                    indent: {
+                        oneOf: [
+                            { enum: ["tab"] },
+                            { type: "integer", minimum: 1 }
+                        ]
+                    }
+                },
+                additionalProperties: false
+            }
+        ]
+    }),
+
+    create: factory
+};
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Rule requiring curly braces around the bodies of control
+ * statements, placed according to the configured brace style.
+ * @author Joshua Searles
+ */
+"use strict";
+
+var _ = require("lodash"),
+    createIndentation = require("../utils/indentation"),
+    createFixers = require("../utils/fixers"),
+    createConstructs = require("../utils/constructs"),
+    braceOptions = require("../utils/brace-options"),
+    compat = require("../utils/compat");
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+var names = {
+    IfStatement: "if",
+    WhileStatement: "while",
+    DoWhileStatement: "do",
+    ForStatement: "for",
+    ForInStatement: "for-in",
+    ForOfStatement: "for-of",
+    WithStatement: "with"
+};
+
+// statements which are a body of their own, and so always need braces
+// around them under "multi-or-nest"
+var nested = Object.keys(names).concat([
+    "TryStatement",
+    "SwitchStatement",
+    "LabeledStatement"
+]);
+
+var messages = {
+    missingBraces: "Expected curly braces around the body of '{{name}}'.",
+    wrapInBraces: "Wrap the body of '{{name}}' in curly braces, after the comments before it."
+};
+
+var factory = function(context) {
+    var sourceCode = compat.getSourceCode(context),
+        report = compat.createReport(context, messages),
+        mode = context.options[0] || "all",
+        options = braceOptions.parse(context.options[1], context.options[2]),
+        multilineHeader = braceOptions.getMultilineHeader(options),
+        indentation = createIndentation(sourceCode, options.indent),
+        fixers = createFixers(sourceCode),
+        constructs = createConstructs(sourceCode);
+
+    //--------------------------------------------------------------------------
+    // Helpers
+    //--------------------------------------------------------------------------
+
+    function isBlock(node) {
+        return Boolean(node) && node.type === "BlockStatement";
+    }
+
+    /**
+     * Determines if a brace-less body needs braces under the configured mode.
+     * @param {ASTNode} body The body of a control statement.
+     * @returns {boolean} True if the body should be wrapped in braces.
+     * @private
+     */
+    function needsBraces(body) {
+        if (isBlock(body) || body.type === "EmptyStatement") {
+            return false;
+        }
+
+        if (mode === "multi-or-nest") {
+            return body.loc.start.line !== body.loc.end.line || nested.indexOf(body.type) !== -1;
+        }
+
+        return true;
+    }
+
+    /**
+     * Creates a fix which wraps a body in curly braces, placing the braces as
+     * brace-on-same-line would with the same options. When the body is the
+     * consequent of an if statement or the body of a do-while loop, the
+     * following `else` or `while` is cuddled or not as the options require.
+     * @param {ASTNode} node The control statement which owns the body.
+     * @param {ASTNode} body The body to wrap.
+     * @returns {Function} The fixer function.
+     * @private
+     */
+    function wrapInBraces(node, body) {
+        return function(fixer) {
+            var type = node.type,
+                previousToken = sourceCode.getTokenBefore(body),
+                hasComments = fixers.getCommentsBetween(previousToken, body).length > 0,
+                whitespace = indentation.getLineIndent(previousToken.value === "else" ? previousToken : sourceCode.getFirstToken(node)),
+                expected = braceOptions.getBraceIndent(options, indentation, node, whitespace),
+                sameLine = type in multilineHeader && constructs.isMultilineHeader(node, previousToken) ? multilineHeader[type] : options[type] !== false,
+                layout = {
+                    open: sameLine ? " {" : fixers.lineBreak + (expected.open === null ? whitespace : expected.open) + "{",
+                    whitespace: indentation.nest(whitespace),
+                    close: fixers.lineBreak + (expected.close === null ? whitespace : expected.close) + "}"
+                };
+
+            // the braces and the spaces inside them lengthen the line by four
+            if (sameLine && !hasComments && previousToken.loc.end.line === body.loc.end.line &&
+                    braceOptions.allowsSingleLine(options, type, 1, sourceCode.lines[body.loc.end.line - 1].length + 4)) {
+                layout.separator = " ";
+                layout.close = " }";
+            } else if (options.braceIndent === "horstmann" && !hasComments) {
+                layout.separator = indentation.horstmannSeparator();
+            }
+
+            var edit = fixers.wrapInBraces(body, layout);
+
+            if (!edit) {
+                return null;
+            }
+
+            var text = edit.text,
+                end = body.range[1],
+                nextToken = sourceCode.getTokenAfter(body);
+
+            if (type === "IfStatement" && body === node.consequent && node.alternate && !fixers.getCommentsBetween(body, nextToken).length) {
+                end = nextToken.range[0];
+                text += options.IfStatement !== false && !options.noCuddledElse ? " " : fixers.lineBreak + whitespace;
+            } else if (type === "DoWhileStatement" && !fixers.getCommentsBetween(body, nextToken).length) {
+                end = nextToken.range[0];
+                text += options.DoWhileStatement !== false && !options.noCuddledWhile ? " " : fixers.lineBreak + whitespace;
+            }
+
+            return fixer.replaceTextRange([previousToken.range[1], end], text);
+        };
+    }
+
+    /**
+     * Reports a body without braces. Wrapping a body which has comments
+     * before it moves them inside the braces, so that is only a suggestion.
+     * @param {ASTNode} node The control statement which owns the body.
+     * @param {ASTNode} body The body.
+     * @param {string} name The keyword which introduces the body.
+     * @returns {void}
+     * @private
+     */
+    function reportMissing(node, body, name) {
+        var descriptor = {
+                node: node,
+                loc: body.loc.start,
+                messageId: "missingBraces",
+                data: { name: name }
+            },
+            fix = wrapInBraces(node, body);
+
+        if (fixers.getCommentsBetween(sourceCode.getTokenBefore(body), body).length) {
+            descriptor.suggest = [{ messageId: "wrapInBraces", data: descriptor.data, fix: fix }];
+        } else {
+            descriptor.fix = fix;
+        }
+
+        report(descriptor);
+    }
+
+    /**
+     * Gets the bodies of an if statement and the else-if statements chained
+     * to it, paired with the statement which owns each.
+     * @param {ASTNode} node The first IfStatement of the chain.
+     * @returns {Object[]} The branches, in source order.
+     * @private
+     */
+    function getBranches(node) {
+        var branches = [];
+
+        while (node) {
+            branches.push({ node: node, body: node.consequent, name: "if" });
+
+            if (node.alternate && node.alternate.type !== "IfStatement") {
+                branches.push({ node: node, body: node.alternate, name: "else" });
+            }
+
+            node = node.alternate && node.alternate.type === "IfStatement" ? node.alternate : null;
+        }
+
+        return branches;
+    }
+
+    /**
+     * Enforces braces on the branches of an if statement. With `consistent`,
+     * the whole else-if chain is checked from its first statement and every
+     * branch needs braces as soon as one of them has or needs them.
+     * @param {ASTNode} node An IfStatement node.
+     * @returns {void}
+     * @private
+     */
+    function checkIfStatement(node) {
+        if (!options.consistent) {
+            getBranches(node).slice(0, node.alternate && node.alternate.type === "IfStatement" ? 1 : 2).forEach(function(branch) {
+                if (needsBraces(branch.body)) {
+                    reportMissing(branch.node, branch.body, branch.name);
+                }
+            });
+
+            return;
+        }
+
+        if (node.parent.type === "IfStatement" && node.parent.alternate === node) {
+            return;
+        }
+
+        var branches = getBranches(node),
+            braced = branches.some(function(branch) {
+                return isBlock(branch.body) || needsBraces(branch.body);
+            });
+
+        if (braced) {
+            branches.forEach(function(branch) {
+                if (!isBlock(branch.body)) {
+                    reportMissing(branch.node, branch.body, branch.name);
+                }
+            });
+        }
+    }
+
+    function checkLoop(node) {
+        if (needsBraces(node.body)) {
+            reportMissing(node, node.body, names[node.type]);
+        }
+    }
+
+    //--------------------------------------------------------------------------
+    // Public
+    //--------------------------------------------------------------------------
+
+    return {
+        IfStatement: checkIfStatement,
+        WhileStatement: checkLoop,
+        DoWhileStatement: checkLoop,
+        ForStatement: checkLoop,
+        ForInStatement: checkLoop,
+        ForOfStatement: checkLoop,
+        WithStatement: checkLoop
+    };
+};
+
+module.exports = {
+    meta: compat.createMeta({
+        type: "layout",
+
+        docs: {
+            description: "require curly braces around the bodies of control statements"
+        },
+
+        fixable: "code",
+        hasSuggestions: true,
+        messages: messages,
+
+        schema: [
+            { enum: ["all", "multi-or-nest"] },
+            braceOptions.styleSchema,
+            {
+                type: "object",
+                properties: _.assign({
+                    consistent: { type: "boolean" }
+                }, braceOptions.optionProperties),
+                additionalProperties: false
+            }
+        ]
+    }),
+
+    create: factory
+};
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Finds the braces of every block type, for the rules which
+ * check each block the same way regardless of the construct which owns it.
+ * @author Joshua Searles
+ */
+"use strict";
+
+var createConstructs = require("./constructs");
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a listener for each block type, which passes the braces of the
+ * blocks it finds to a check.
+ * @param {SourceCode} sourceCode The source code of the file.
+ * @param {Function} checkBraces Called with the node which owns the block,
+ *      the block, the opening and closing curly braces, and the first token
+ *      of the controlling statement.
+ * @returns {Object} The listeners, keyed by block type.
+ */
+module.exports = function(sourceCode, checkBraces) {
+    var constructs = createConstructs(sourceCode);
+
+    /**
+     * Checks the braces of a block, if the body is a block.
+     * @param {ASTNode} node The node which owns the block, which is reported.
+     * @param {ASTNode} block The body, which may not be a block.
+     * @param {Object} [headerToken] The first token of the controlling
+     *      statement, when it is not the first token of `node`.
+     * @returns {void}
+     * @private
+     */
+    function checkBlock(node, block, headerToken) {
+        if (!block || (block.type !== "BlockStatement" && block.type !== "ClassBody")) {
+            return;
+        }
+
+        checkBraces(node, block, sourceCode.getFirstToken(block), sourceCode.getLastToken(block), headerToken || sourceCode.getFirstToken(node));
+    }
+
+    function checkBody(node) {
+        checkBlock(node, node.body);
+    }
+
+    /**
+     * Checks the body of a function, unless it is the value of a class
+     * method, which the method is checked for instead.
+     * @param {ASTNode} node A FunctionExpression node.
+     * @returns {void}
+     * @private
+     */
+    function checkFunctionExpression(node) {
+        if (node.parent.type !== "MethodDefinition") {
+            checkBlock(node, node.body);
+        }
+    }
+
+    function checkMethodDefinition(node) {
+        if (node.value) {
+            checkBlock(node, node.value.body);
+        }
+    }
+
+    /**
+     * Checks a static block, whose braces follow the `static` keyword.
+     * @param {ASTNode} node A StaticBlock node.
+     * @returns {void}
+     * @private
+     */
+    function checkStaticBlock(node) {
+        checkBraces(node, node, sourceCode.getFirstToken(node, 1), sourceCode.getLastToken(node), sourceCode.getFirstToken(node));
+    }
+
+    /**
+     * Checks the blocks of an `if` statement. An `else` block is controlled
+     * by the `else` keyword, which may be on the line of the previous closing
+     * brace.
+     * @param {ASTNode} node An IfStatement node.
+     * @returns {void}
+     * @private
+     */
+    function checkIfStatement(node) {
+        checkBlock(node, node.consequent);
+
+        if (node.alternate) {
+            checkBlock(node, node.alternate, sourceCode.getTokenBefore(node.alternate));
+        }
+    }
+
+    /**
+     * Checks the blocks of a `try` statement, each of which is controlled by
+     * the keyword which introduces it.
+     * @param {ASTNode} node A TryStatement node.
+     * @returns {void}
+     * @private
+     */
+    function checkTryStatement(node) {
+        checkBlock(node, node.block);
+
+        if (node.handler) {
+            checkBlock(node.handler, node.handler.body);
+        }
+
+        if (node.finalizer) {
+            checkBlock(node, node.finalizer, sourceCode.getTokenBefore(node.finalizer));
+        }
+    }
+
+    /**
+     * Checks the braces of a `switch` statement, which has no block node.
+     * @param {ASTNode} node A SwitchStatement node.
+     * @returns {void}
+     * @private
+     */
+    function checkSwitchStatement(node) {
+        var closeToken = sourceCode.getLastToken(node),
+            openToken = sourceCode.getTokenBefore(node.cases.length ? node.cases[0] : closeToken);
+
+        checkBraces(node, node, openToken, closeToken, sourceCode.getFirstToken(node));
+    }
+
+    function checkSwitchCase(node) {
+        checkBlock(node, node.consequent[0]);
+    }
+
+    /**
+     * Checks a block which stands on its own as a statement, and so begins
+     * its own line.
+     * @param {ASTNode} node A BlockStatement node.
+     * @returns {void}
+     * @private
+     */
+    function checkBlockStatement(node) {
+        if (constructs.isStandaloneBlock(node)) {
+            checkBlock(node, node);
+        }
+    }
+
+    /**
+     * Checks the body of a TypeScript declaration, which is controlled by the
+     * line its declaration begins on. Enums have no node for their body.
+     * @param {ASTNode} node The body, or the TSEnumDeclaration.
+     * @returns {void}
+     * @private
+     */
+    function checkDeclarationBody(node) {
+        var openToken = node.type === "TSEnumDeclaration" ? sourceCode.getTokenAfter(node.id) : sourceCode.getFirstToken(node);
+
+        checkBraces(node, node, openToken, sourceCode.getLastToken(node), sourceCode.getFirstToken(constructs.getHeaderNode(node)));
+    }
+
+    return {
+        FunctionDeclaration: checkBody,
+        FunctionExpression: checkFunctionExpression,
+        ArrowFunctionExpression: checkBody,
+        ClassDeclaration: checkBody,
+        ClassExpression: checkBody,
+        MethodDefinition: checkMethodDefinition,
+        StaticBlock: checkStaticBlock,
+        IfStatement: checkIfStatement,
+        TryStatement: checkTryStatement,
+        DoWhileStatement: checkBody,
+        WhileStatement: checkBody,
+        WithStatement: checkBody,
+        ForStatement: checkBody,
+        ForInStatement: checkBody,
+        ForOfStatement: checkBody,
+        SwitchStatement: checkSwitchStatement,
+        SwitchCase: checkSwitchCase,
+        BlockStatement: checkBlockStatement,
+        LabeledStatement: checkBody,
+        TSInterfaceBody: checkDeclarationBody,
+        TSEnumDeclaration: checkDeclarationBody,
+        TSModuleBlock: checkDeclarationBody,
+        TSTypeLiteral: checkDeclarationBody
+    };
+};
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Style presets and option parsing shared by the brace rules.
+ * @author Joshua Searles
+ */
+"use strict";
+
+var _ = require("lodash");
+
+//------------------------------------------------------------------------------
+// Presets
+//------------------------------------------------------------------------------
+
+var blocks = [
+    "FunctionDeclaration",
+    "FunctionExpression",
+    "ArrowFunctionExpression",
+    "ClassDeclaration",
+    "ClassExpression",
+    "MethodDefinition",
+    "StaticBlock",
+    "IfStatement",
+    "TryStatement",
+    "DoWhileStatement",
+    "WhileStatement",
+    "WithStatement",
+    "ForStatement",
+    "ForInStatement",
+    "ForOfStatement",
+    "SwitchStatement",
+    "SwitchCase",
+    "BlockStatement",
+    "LabeledStatement",
+    "TSInterfaceBody",
+    "TSEnumDeclaration",
+    "TSModuleBlock",
+    "TSTypeLiteral"
+];
+
+var functions = [
+    "FunctionDeclaration",
+    "FunctionExpression",
+    "ArrowFunctionExpression",
+    "MethodDefinition"
+];
+
+// where a function appears, which overrides its block type; the first
+// configured context which matches a function wins
+var contexts = [
+    "iife",
+    "callbacks",
+    "objectMethods",
+    "nested"
+];
+
+/**
+ * Creates an object which sets every block type to the same value.
+ * @param {*} value The value of each block type.
+ * @returns {Object} The block types.
+ * @private
+ */
+function fill(value) {
+    return blocks.reduce(function(acc, type) {
+        acc[type] = value;
+        return acc;
+    }, {});
+}
+
+var styles = {
+    "1tbs": fill("always"),
+    allman: fill("never")
+};
+
+styles.stroustrup = _.assign({
+    noCuddledElse: true,
+    noCuddledCatchFinally: true,
+    noCuddledWhile: true
+}, styles["1tbs"]);
+
+styles.kr = _.assign({}, styles["1tbs"], functions.reduce(function(acc, type) {
+    acc[type] = "never";
+    return acc;
+}, {}));
+
+styles.whitesmiths = _.assign({ braceIndent: "whitesmiths" }, styles.allman);
+styles.gnu = _.assign({ braceIndent: "gnu" }, styles.allman);
+styles.horstmann = _.assign({ braceIndent: "horstmann" }, styles.allman);
+styles.ratliff = _.assign({ braceIndent: "ratliff" }, styles.stroustrup);
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Merges a style, either a preset name or an object of block types, with the
+ * options object. Block types become true when the brace belongs on the same
+ * line and false when it belongs on the next; ignored types are removed.
+ * "always" and "never" may be given instead of a preset to set every type.
+ * Contexts become true or false in the same way, and null when ignored, since
+ * an ignored context still overrides the block type.
+ * @param {string|Object} [style="1tbs"] The style preset or block types.
+ * @param {Object} [overrides] The options object.
+ * @returns {Object} The normalized options.
+ * @throws {Error} If the style is neither a preset, "always" nor "never".
+ */
+function parse(style, overrides) {
+    style = style || "1tbs";
+
+    if (typeof style === "string") {
+        if (!styles[style] && style !== "always" && style !== "never") {
+            throw new Error("Unknown brace style: " + style);
+        }
+
+        style = styles[style] || fill(style);
+    }
+
+    var options = _.assign({}, style, overrides);
+
+    blocks.forEach(function(type) {
+        if (type in options) {
+            if (options[type] === "ignore") {
+                delete options[type];
+            } else {
+                options[type] = options[type] === "always";
+            }
+        }
+    });
+
+    contexts.forEach(function(key) {
+        if (key in options) {
+            options[key] = options[key] === "ignore" ? null : options[key] === "always";
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Gets the `multilineHeader` overrides of the block placement for controlling
+ * statements which span multiple lines.
+ * @param {Object} options The normalized options.
+ * @returns {Object} True or false for each overridden block type.
+ */
+function getMultilineHeader(options) {
+    return blocks.reduce(function(acc, type) {
+        var setting = typeof options.multilineHeader === "object" ? options.multilineHeader[type] : options.multilineHeader;
+
+        if (setting === "always" || setting === "never") {
+            acc[type] = setting === "always";
+        }
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Determines if `allowSingleLine` lets a block stay on one line. The option is
+ * either a boolean, or an object which limits the block types, the number of
+ * statements in the block and the length of its line. When the object names
+ * no block types, every type is allowed.
+ * @param {Object} options The normalized options.
+ * @param {string} type The block type.
+ * @param {number} statements The number of statements, or cases, in the block.
+ * @param {number} length The length of the line the block is on.
+ * @returns {boolean} True if the block may be on one line.
+ */
+function allowsSingleLine(options, type, statements, length) {
+    var setting = options.allowSingleLine;
+
+    if (!setting || typeof setting !== "object") {
+        return Boolean(setting);
+    }
+
+    var limitsTypes = blocks.some(function(key) {
+        return key in setting;
+    });
+
+    if (limitsTypes && !setting[type]) {
+        return false;
+    }
+
+    if ("maxStatements" in setting && statements > setting.maxStatements) {
+        return false;
+    }
+
+    return !("maxLength" in setting && length > setting.maxLength);
+}
+
+/**
+ * Gets the leading whitespace that the configured `braceIndent` style
+ * expects in front of the opening and closing braces of a block. A null
+ * value means that the style does not constrain that brace.
+ * @param {Object} options The normalized options.
+ * @param {Object} indentation The indentation helpers of the file.
+ * @param {ASTNode} node The node which owns the block.
+ * @param {string} whitespace The leading whitespace of the controlling statement.
+ * @returns {{open: ?string, close: ?string}} The expected whitespace.
+ */
+function getBraceIndent(options, indentation, node, whitespace) {
+    switch (options.braceIndent) {
+        case "whitesmiths":
+            whitespace = indentation.nest(whitespace);
+            return { open: whitespace, close: whitespace };
+
+        case "gnu":
+            // GNU indents the braces of control statements by half a level,
+            // but leaves function braces in line with the declaration
+            whitespace = functions.indexOf(node.type) !== -1 ? whitespace : indentation.nestHalf(whitespace);
+            return { open: whitespace, close: whitespace };
+
+        case "horstmann":
+            return { open: whitespace, close: whitespace };
+
+        case "ratliff":
+            return { open: null, close: indentation.nest(whitespace) };
+
+        default:
+            return { open: null, close: null };
+    }
+}
+
+//------------------------------------------------------------------------------
+// Schema
+//------------------------------------------------------------------------------
+
+var blockSchema = {
+    type: "object",
+    properties: fill({ enum: ["always", "never", "ignore"] }),
+    additionalProperties: false
+};
+
+var styleSchema = {
+    oneOf: [
+        { enum: Object.keys(styles) },
+        blockSchema
+    ]
+};
+
+var optionProperties = {
+    allowSingleLine: {
+        oneOf: [
+            { type: "boolean" },
+            {
+                type: "object",
+                properties: blocks.reduce(function(acc, type) {
+                    acc[type] = { type: "boolean" };
+                    return acc;
+                }, {
+                    maxStatements: { type: "integer", minimum: 0 },
+                    maxLength: { type: "integer", minimum: 1 }
+                }),
+                additionalProperties: false
+            }
+        ]
+    },
+    requireSingleLineForEmpty: { type: "boolean" },
+    noCuddledElse: { type: "boolean" },
+    noCuddledCatchFinally: { type: "boolean" },
+    noCuddledWhile: { type: "boolean" },
+    iife: { enum: ["always", "never", "ignore"] },
+    callbacks: { enum: ["always", "never", "ignore"] },
+    objectMethods: { enum: ["always", "never", "ignore"] },
+    nested: { enum: ["always", "never", "ignore"] },
+    braceIndent: { enum: ["whitesmiths", "gnu", "horstmann", "ratliff"] },
+    multilineHeader: {
+        oneOf: [
+            { enum: ["always", "never", "same"] },
+            {
+                type: "object",
+                properties: blocks.reduce(function(acc, type) {
+                    acc[type] = { enum: ["always", "never", "same"] };
+                    return acc;
+                }, {}),
+                additionalProperties: false
+            }
+        ]
+    },
+    indent: {
+        oneOf: [
+            { enum: ["tab"] },
+            { type: "integer", minimum: 1 }
+        ]
+    }
+};
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+module.exports = {
+    blocks: blocks,
+    functions: functions,
+    contexts: contexts,
+    styles: styles,
+    parse: parse,
+    getMultilineHeader: getMultilineHeader,
+    allowsSingleLine: allowsSingleLine,
+    getBraceIndent: getBraceIndent,
+    blockSchema: blockSchema,
+    styleSchema: styleSchema,
+    optionProperties: optionProperties
+};
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Helpers which let the rules run on the pinned ESLint 2.x as
+ * well as on current majors.
+ * @author Joshua Searles
+ */
+"use strict";
+
+var _ = require("lodash");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Gets the version of the installed ESLint.
+ * @returns {?number[]} The major, minor and patch versions, or null if the
+ *      version cannot be found.
+ * @private
+ */
+function detectVersion() {
+    try {
+        return require("eslint/package.json").version.split(".").map(Number);
+    } catch (err) {
+        return null;
+    }
+}
+
+var version = detectVersion();
+
+// `messageId`s are resolved by ESLint since 4.15, and suggestions since 6.7
+var supportsMessageIds = !version || version[0] > 4 || (version[0] === 4 && version[1] >= 15),
+    supportsSuggestions = !version || version[0] > 6 || (version[0] === 6 && version[1] >= 7);
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Gets the source code of the file being linted. `context.getSourceCode()`
+ * is deprecated in favor of the `sourceCode` property on current majors.
+ * @param {RuleContext} context The rule context.
+ * @returns {SourceCode} The source code.
+ */
+function getSourceCode(context) {
+    return context.sourceCode || context.getSourceCode();
+}
+
+/**
+ * Creates the `meta` of a rule. ESLint 2.x drops the fixes of rules which
+ * have `docs` unless `docs` repeats `fixable`, so it is copied there.
+ * @param {Object} meta The `meta` of the rule.
+ * @returns {Object} The `meta` to export.
+ */
+function createMeta(meta) {
+    if (!meta.fixable) {
+        return meta;
+    }
+
+    return _.assign({}, meta, { docs: _.assign({ fixable: meta.fixable }, meta.docs) });
+}
+
+/**
+ * Creates a function which reports a problem described with a `messageId`.
+ * ESLint versions which predate `messageId`s get the message text from the
+ * rule's `meta.messages` instead. Versions which predate suggestions do not
+ * get them, so the problems they would fix are reported without a fix.
+ * @param {RuleContext} context The rule context.
+ * @param {Object} messages The `meta.messages` of the rule.
+ * @returns {Function} The report function, taking a report descriptor.
+ */
+function createReport(context, messages) {
+    return function(descriptor) {
+        if (supportsSuggestions) {
+            context.report(descriptor);
+            return;
+        }
+
+        var legacy = _.omit(descriptor, "suggest");
+
+        if (!supportsMessageIds) {
+            legacy.message = messages[legacy.messageId];
+            delete legacy.messageId;
+        }
+
+        context.report(legacy);
+    };
+}
+
+/**
+ * Creates a function which lints code with the plugin's rules, through
+ * whichever Linter API the installed ESLint has. Rules are configured with
+ * the `brace-rules/` prefix.
+ * @param {Object} rules The rules, keyed by name.
+ * @returns {Function} Called with the code, the rule settings and the parser
+ *      options, and returns the messages.
+ */
+function createLinter(rules) {
+    var eslint = require("eslint"),
+        flat = Boolean(eslint.Linter) && (!version || version[0] >= 9),
+        linter;
+
+    // ESLint before 4.0 only has a shared linter
+    linter = eslint.Linter ? new eslint.Linter() : eslint.linter;
+
+    if (!flat) {
+        Object.keys(rules).forEach(function(name) {
+            linter.defineRule("brace-rules/" + name, rules[name]);
+        });
+    }
+
+    return function(code, settings, parserOptions) {
+        if (!flat) {
+            return linter.verify(code, { parserOptions: parserOptions, rules: settings });
+        }
+
+        return linter.verify(code, [{
+            plugins: { "brace-rules": { rules: rules } },
+            languageOptions: {
+                ecmaVersion: parserOptions.ecmaVersion,
+                sourceType: parserOptions.sourceType,
+                parserOptions: _.omit(parserOptions, ["ecmaVersion", "sourceType"])
+            },
+            rules: settings
+        }]);
+    };
+}
+
+/**
+ * Gets the newest `ecmaVersion` the parser of the installed ESLint accepts,
+ * or at least one it is known to.
+ * @returns {number|string} The ecmaVersion.
+ */
+function getLatestEcmaVersion() {
+    return !version || version[0] >= 8 ? "latest" : 6;
+}
+
+module.exports = {
+    getSourceCode: getSourceCode,
+    createMeta: createMeta,
+    createReport: createReport,
+    createLinter: createLinter,
+    getLatestEcmaVersion: getLatestEcmaVersion
+};
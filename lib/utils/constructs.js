@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Names the constructs which own blocks, for use in messages,
+ * and finds where their controlling statements begin.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+// how messages name the construct which owns a block, for the types where it
+// does not depend on the block
+var names = {
+    FunctionDeclaration: "function",
+    FunctionExpression: "function",
+    ArrowFunctionExpression: "arrow function",
+    ClassDeclaration: "class",
+    ClassExpression: "class",
+    MethodDefinition: "method",
+    StaticBlock: "static block",
+    BlockStatement: "block",
+    LabeledStatement: "labeled block",
+    CatchClause: "'catch' clause",
+    DoWhileStatement: "'do-while' loop",
+    WhileStatement: "'while' loop",
+    WithStatement: "'with' statement",
+    ForStatement: "'for' loop",
+    ForInStatement: "'for-in' loop",
+    ForOfStatement: "'for-of' loop",
+    SwitchStatement: "'switch' statement",
+    TSInterfaceBody: "interface",
+    TSEnumDeclaration: "enum",
+    TSTypeLiteral: "type literal"
+};
+
+// how messages name each kind of TypeScript module declaration
+var modules = {
+    global: "'declare global' block",
+    module: "module",
+    namespace: "namespace"
+};
+
+// the nodes which hold a list of statements, among which a block is a
+// statement of its own rather than the body of a construct
+var statementLists = ["Program", "BlockStatement", "StaticBlock", "TSModuleBlock"];
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Creates the construct helpers for a file.
+ * @param {SourceCode} sourceCode The source code of the file.
+ * @returns {Object} The helpers.
+ */
+module.exports = function(sourceCode) {
+
+    /**
+     * Gets the node which begins the controlling statement of a block. Most
+     * blocks are owned by the node they are checked for, but the bodies of
+     * TypeScript declarations are checked as nodes of their own.
+     * @param {ASTNode} node The node which owns the block.
+     * @returns {ASTNode} The node whose first token begins the statement.
+     */
+    function getHeaderNode(node) {
+        var declaration;
+
+        switch (node.type) {
+            case "TSInterfaceBody":
+                return node.parent;
+
+            case "TSModuleBlock":
+                // `namespace a.b {}` may nest a declaration for each name
+                declaration = node.parent;
+
+                while (declaration.parent && declaration.parent.type === "TSModuleDeclaration") {
+                    declaration = declaration.parent;
+                }
+
+                return declaration;
+
+            case "TSTypeLiteral":
+                return node.parent.type === "TSTypeAnnotation" ? node.parent.parent : node.parent;
+
+            default:
+                return node;
+        }
+    }
+
+    /**
+     * Determines if the controlling statement of a block spans multiple lines,
+     * such as a wrapped condition or parameter list.
+     * @param {ASTNode} node The node which owns the block.
+     * @param {Object} previousToken The token before the opening curly brace,
+     *      or before the body of a control statement.
+     * @returns {boolean} True if the controlling statement spans multiple lines.
+     */
+    function isMultilineHeader(node, previousToken) {
+        // `else` and `finally` are the whole of their controlling statement
+        if (previousToken.type === "Keyword" && (previousToken.value === "else" || previousToken.value === "finally")) {
+            return false;
+        }
+
+        var firstToken = sourceCode.getFirstToken(getHeaderNode(node));
+
+        // a type literal which begins its type has no header of its own
+        if (firstToken.range[0] >= previousToken.range[1]) {
+            return false;
+        }
+
+        return firstToken.loc.start.line !== previousToken.loc.end.line;
+    }
+
+    /**
+     * Gets the kind of a TypeScript module declaration. Parsers which predate
+     * the `kind` property only flag `declare global`, so the keyword before
+     * the name is read instead.
+     * @param {ASTNode} node A TSModuleDeclaration node.
+     * @returns {string} "global", "module" or "namespace".
+     * @private
+     */
+    function getModuleKind(node) {
+        if (node.kind) {
+            return node.kind;
+        }
+
+        return node.global ? "global" : sourceCode.getTokenBefore(node.id).value;
+    }
+
+    /**
+     * Describes the construct which owns a block, for use in messages.
+     * @param {ASTNode} node The node which owns the block.
+     * @param {ASTNode} [block] The block, for nodes which own several.
+     * @returns {string} The description, such as "'catch' clause".
+     */
+    function describe(node, block) {
+        switch (node.type) {
+            case "IfStatement":
+                return block === node.alternate ? "'else' clause" : "'if' statement";
+
+            case "TryStatement":
+                return block === node.finalizer ? "'finally' clause" : "'try' statement";
+
+            case "SwitchCase":
+                return node.test ? "'case' clause" : "'default' clause";
+
+            case "TSModuleBlock":
+                return modules[getModuleKind(getHeaderNode(node))];
+
+            default:
+                return names[node.type];
+        }
+    }
+
+    /**
+     * Determines if a block stands on its own as a statement, scoping the
+     * declarations inside it, rather than being the body of a construct. The
+     * block which starts a `case` clause belongs to the clause.
+     * @param {ASTNode} node A BlockStatement node.
+     * @returns {boolean} True if the block is a statement of its own.
+     */
+    function isStandaloneBlock(node) {
+        var parent = node.parent;
+
+        if (parent.type === "SwitchCase") {
+            return parent.consequent[0] !== node;
+        }
+
+        return statementLists.indexOf(parent.type) !== -1;
+    }
+
+    return {
+        getHeaderNode: getHeaderNode,
+        isMultilineHeader: isMultilineHeader,
+        describe: describe,
+        isStandaloneBlock: isStandaloneBlock
+    };
+};
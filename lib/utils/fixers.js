@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Fixes which move curly braces and the tokens around them.
+ * @author Joshua Searles
+ */
+"use strict";
+
+var _ = require("lodash");
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Creates the fixers for a file. The line breaks they add are those the file
+ * already uses, so that fixing a file with CRLF line breaks does not mix in
+ * LF ones.
+ * @param {SourceCode} sourceCode The source code of the file.
+ * @returns {Object} The fixer factories, and the `lineBreak` of the file.
+ */
+module.exports = function(sourceCode) {
+    var lineBreak = (/\r\n|\r|\n/.exec(sourceCode.getText()) || ["\n"])[0];
+
+    function insertBreakBefore(token, whitespace) {
+        whitespace = whitespace || "";
+        return function (fixer) {
+            var text = sourceCode.getText(),
+                start = token.range[0];
+
+            // drop the whitespace which would otherwise be left trailing on the line
+            while (start > 0 && (text[start - 1] === " " || text[start - 1] === "\t")) {
+                start--;
+            }
+
+            return fixer.replaceTextRange([start, token.range[0]], lineBreak + whitespace);
+        }
+    }
+
+    function insertBreakAfter(token, whitespace) {
+        return function (fixer) {
+            var text = sourceCode.getText(),
+                end = token.range[1];
+
+            while (end < text.length && (text[end] === " " || text[end] === "\t")) {
+                end++;
+            }
+
+            return fixer.replaceTextRange([token.range[1], end], lineBreak + whitespace);
+        }
+    }
+
+    /**
+     * Creates a fix which joins two tokens onto the same line. Comments between
+     * the tokens are preserved: block comments which fit on one line stay where
+     * they are, while line comments and multi-line block comments are moved
+     * after the opening curly brace. If there is no safe place for them, such
+     * as when code follows the brace on its line, no fix is made.
+     * @param {Object} startToken The token to keep in place.
+     * @param {Object} endToken The token to pull up onto the line of `startToken`.
+     * @param {string} [whitespace=" "] The whitespace to put between the tokens.
+     * @returns {Function} The fixer function.
+     */
+    function removeBreakBetween(startToken, endToken, whitespace) {
+        whitespace = typeof whitespace === "string" ? whitespace : " ";
+        return function (fixer) {
+            var comments = getCommentsBetween(startToken, endToken);
+
+            if (comments.every(isInlineComment)) {
+                return fixer.replaceTextRange([
+                    startToken.range[1],
+                    endToken.range[0]
+                ], whitespace + comments.map(getCommentText).join(" ") + (comments.length ? " " : ""));
+            }
+
+            var nextToken = sourceCode.getTokenAfter(endToken),
+                lineComment = _.findIndex(comments, { type: "Line" });
+
+            if (endToken.value !== "{" ||
+                    (nextToken && nextToken.loc.start.line === endToken.loc.end.line) ||
+                    (lineComment !== -1 && lineComment !== comments.length - 1)) {
+                return null;
+            }
+
+            return fixer.replaceTextRange([
+                startToken.range[1],
+                endToken.range[1]
+            ], whitespace + "{ " + comments.map(getCommentText).join(" "));
+        };
+    }
+
+    /**
+     * Determines if joining two tokens with `removeBreakBetween` would move
+     * comments across the second token.
+     * @param {Object} startToken The token to keep in place.
+     * @param {Object} endToken The token to pull up onto the line of `startToken`.
+     * @returns {boolean} True if a comment would change places with `endToken`.
+     */
+    function movesComments(startToken, endToken) {
+        return !getCommentsBetween(startToken, endToken).every(isInlineComment);
+    }
+
+    /**
+     * Gets the comments which appear between two tokens.
+     * @param {Object} startToken The first token.
+     * @param {Object} endToken The second token.
+     * @returns {Object[]} The comments, in source order.
+     */
+    function getCommentsBetween(startToken, endToken) {
+        return sourceCode.getAllComments().filter(function(comment) {
+            return comment.range[0] >= startToken.range[1] && comment.range[1] <= endToken.range[0];
+        });
+    }
+
+    /**
+     * Determines if a comment can stay in place when the line breaks around
+     * it are removed, which is only true for block comments on a single line.
+     * @param {Object} comment The comment to check.
+     * @returns {boolean} True if the comment can be inlined.
+     */
+    function isInlineComment(comment) {
+        return comment.type === "Block" && comment.loc.start.line === comment.loc.end.line;
+    }
+
+    function getCommentText(comment) {
+        return sourceCode.getText(comment);
+    }
+
+    /**
+     * Moves the text of a body to a new indentation. Lines after the first
+     * keep their indentation relative to the line the body started on. Bodies
+     * containing strings which span lines are left as they are.
+     * @param {ASTNode} body The body to indent.
+     * @param {Object} previousToken The token before the body.
+     * @param {string} whitespace The new indentation of the body.
+     * @returns {string} The reindented text.
+     * @private
+     */
+    function reindent(body, previousToken, whitespace) {
+        var text = sourceCode.getText(body),
+            line = sourceCode.lines[(body.loc.start.line === previousToken.loc.end.line ? previousToken : body).loc.start.line - 1],
+            from = (/^[ \t]*/).exec(line)[0];
+
+        if (hasMultilineString(sourceCode.getTokens(body))) {
+            return text;
+        }
+
+        return text.split(lineBreak).map(function(bodyLine, index) {
+            return index && bodyLine.indexOf(from) === 0 ? whitespace + bodyLine.slice(from.length) : bodyLine;
+        }).join(lineBreak);
+    }
+
+    /**
+     * Determines if any of a list of tokens is a string or template which
+     * spans lines, whose text would change if its lines were reindented.
+     * @param {Object[]} tokens The tokens to check.
+     * @returns {boolean} True if a token spans lines.
+     * @private
+     */
+    function hasMultilineString(tokens) {
+        return tokens.some(function(token) {
+            return (token.type === "Template" || token.type === "String") && token.loc.start.line !== token.loc.end.line;
+        });
+    }
+
+    /**
+     * Extends a fix which moves an opening brace to also move the lines
+     * between it and the closing brace to a new indentation. Lines after the
+     * first keep their indentation relative to it. The indentation of the
+     * closing brace is left to the fixes of the closing brace.
+     * @param {Function} fix The fixer function, which changes nothing after
+     *      the line of the opening brace.
+     * @param {Object} openToken The opening curly brace.
+     * @param {Object} closeToken The closing curly brace.
+     * @param {string} whitespace The new indentation of the first line.
+     * @returns {Function} The extended fixer function, or `fix` itself when
+     *      the lines are already there or hold a string which spans lines.
+     */
+    function reindentBetween(fix, openToken, closeToken, whitespace) {
+        var inside = getCommentsBetween(openToken, closeToken).concat(sourceCode.getTokensBetween(openToken, closeToken)),
+            first = _.minBy(inside, "range[0]"),
+            last = _.maxBy(inside, "range[1]");
+
+        if (!first || first.loc.start.line === openToken.loc.end.line) {
+            return fix;
+        }
+
+        var text = sourceCode.getText(),
+            start = first.range[0] - first.loc.start.column,
+            from = text.slice(start, first.range[0]);
+
+        if (from === whitespace || hasMultilineString(sourceCode.getTokensBetween(openToken, closeToken))) {
+            return fix;
+        }
+
+        var lines = text.slice(start, last.range[1]).split(lineBreak).map(function(line) {
+            return line.indexOf(from) === 0 ? whitespace + line.slice(from.length) : line;
+        });
+
+        return function(fixer) {
+            var edit = getEdit(fix);
+
+            if (!edit) {
+                return null;
+            }
+
+            return fixer.replaceTextRange([edit.range[0], last.range[1]], edit.text + text.slice(edit.range[1], start) + lines.join(lineBreak));
+        };
+    }
+
+    /**
+     * Creates the edit which wraps a body in curly braces, from the end of
+     * the token before it to the end of the body. The body is reindented, and
+     * comments before it are moved after the opening brace.
+     * @param {ASTNode} body The body to wrap.
+     * @param {Object} layout Where the braces go.
+     * @param {string} layout.open The text up to and including the opening
+     *      brace, such as `" {"`.
+     * @param {string} layout.whitespace The indentation of the body.
+     * @param {string} [layout.separator] The text between the opening brace
+     *      and the body. Defaults to a line break and the body's indentation.
+     * @param {string} layout.close The text from the end of the body to the
+     *      closing brace, such as a line break, its indentation and `"}"`.
+     * @returns {?Object} The edit, with its `range` and `text`, or null if a
+     *      line comment before the body could not be followed by it.
+     */
+    function wrapInBraces(body, layout) {
+        var previousToken = sourceCode.getTokenBefore(body),
+            comments = getCommentsBetween(previousToken, body),
+            lineComment = _.findIndex(comments, { type: "Line" });
+
+        // a line comment can only be moved after the opening brace if
+        // nothing else needs to follow it
+        if (lineComment !== -1 && lineComment !== comments.length - 1) {
+            return null;
+        }
+
+        var commentText = comments.map(function(comment) {
+            return " " + getCommentText(comment);
+        }).join("");
+
+        return {
+            range: [previousToken.range[1], body.range[1]],
+            text: layout.open + commentText +
+                (typeof layout.separator === "string" ? layout.separator : lineBreak + layout.whitespace) +
+                reindent(body, previousToken, layout.whitespace) + layout.close
+        };
+    }
+
+    function replaceIndent(token, whitespace) {
+        return function (fixer) {
+            return fixer.replaceTextRange([
+                token.range[0] - token.loc.start.column,
+                token.range[0]
+            ], whitespace);
+        };
+    }
+
+    /**
+     * Creates a fix which makes several edits at once, by replacing the text
+     * from the first edit to the last. ESLint 2.x takes a single fix per
+     * problem, so edits across a whole statement are combined this way.
+     * @param {Object[]} edits The edits, each with a `range` and the `text`
+     *      to replace it with. They must not overlap.
+     * @returns {Function} The fixer function.
+     */
+    function replaceRanges(edits) {
+        return function (fixer) {
+            var text = sourceCode.getText(),
+                sorted = _.sortBy(edits, function(edit) {
+                    return edit.range[0];
+                }),
+                start = sorted[0].range[0],
+                position = start,
+                output = "";
+
+            sorted.forEach(function(edit) {
+                output += text.slice(position, edit.range[0]) + edit.text;
+                position = edit.range[1];
+            });
+
+            return fixer.replaceTextRange([start, position], output);
+        };
+    }
+
+    /**
+     * Creates a fix which adds a blank line after a token or comment.
+     * @param {Object} token The token or comment.
+     * @returns {Function} The fixer function.
+     */
+    function insertBlankLineAfter(token) {
+        return function (fixer) {
+            return fixer.insertTextAfterRange(token.range, lineBreak);
+        };
+    }
+
+    /**
+     * Creates a fix which removes the blank lines between two tokens or
+     * comments, leaving the second on the line after the first.
+     * @param {Object} startToken The first token or comment.
+     * @param {Object} endToken The second token or comment.
+     * @returns {Function} The fixer function.
+     */
+    function removeBlankLinesBetween(startToken, endToken) {
+        return function (fixer) {
+            return fixer.replaceTextRange([
+                startToken.range[1],
+                endToken.range[0] - endToken.loc.start.column
+            ], lineBreak);
+        };
+    }
+
+    /**
+     * Gets the edit a fix would make, without applying it. Fixer functions
+     * return null when they cannot make their change.
+     * @param {Function} fix The fixer function.
+     * @returns {?Object} The edit, with its `range` and `text`, or null.
+     */
+    function getEdit(fix) {
+        return fix({
+            replaceTextRange: function(range, text) {
+                return { range: range, text: text };
+            },
+            insertTextAfterRange: function(range, text) {
+                return { range: [range[1], range[1]], text: text };
+            }
+        });
+    }
+
+    /**
+     * Measures the length of a line. As in the `max-len` rule, a tab reaches
+     * the next multiple of the tab width.
+     * @param {string} line The line, without its line break.
+     * @param {number} tabWidth The number of columns between tab stops.
+     * @returns {number} The length of the line in columns.
+     */
+    function measureLine(line, tabWidth) {
+        return line.split("").reduce(function(column, ch) {
+            return ch === "\t" ? column + tabWidth - column % tabWidth : column + 1;
+        }, 0);
+    }
+
+    /**
+     * Measures the lines a fix would leave behind, without applying it. Only
+     * fixes which replace a single range, as the fixes here do, are measured.
+     * @param {Function} fix The fixer function.
+     * @param {number} tabWidth The number of columns between tab stops.
+     * @returns {number} The length of the longest line the fix changes, or 0
+     *      if it makes no change.
+     */
+    function measureFixedLines(fix, tabWidth) {
+        var edit = getEdit(fix);
+
+        if (!edit) {
+            return 0;
+        }
+
+        var text = sourceCode.getText(),
+            start = text.slice(0, edit.range[0]).search(/[^\r\n]*$/),
+            end = edit.range[1] + text.slice(edit.range[1]).search(/\r|\n|$/),
+            lines = (text.slice(start, edit.range[0]) + edit.text + text.slice(edit.range[1], end)).split(/\r\n|\r|\n/);
+
+        return _.max(lines.map(function(line) {
+            return measureLine(line, tabWidth);
+        }));
+    }
+
+    return {
+        lineBreak: lineBreak,
+        measureLine: measureLine,
+        insertBreakBefore: insertBreakBefore,
+        insertBreakAfter: insertBreakAfter,
+        removeBreakBetween: removeBreakBetween,
+        replaceIndent: replaceIndent,
+        wrapInBraces: wrapInBraces,
+        reindentBetween: reindentBetween,
+        replaceRanges: replaceRanges,
+        insertBlankLineAfter: insertBlankLineAfter,
+        removeBlankLinesBetween: removeBlankLinesBetween,
+        getEdit: getEdit,
+        measureFixedLines: measureFixedLines,
+        movesComments: movesComments,
+        getCommentsBetween: getCommentsBetween
+    };
+};
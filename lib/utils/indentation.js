@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Detection and normalization of the indentation used by a file.
+ * @author Joshua Searles
+ */
+"use strict";
+
+var _ = require("lodash");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var DEFAULT_UNIT = "    ";
+
+// the columns a tab takes up, when nothing configures it
+var TAB_WIDTH = 4;
+
+// the offset of GNU braces; GNU code indents by two spaces, which would
+// otherwise be detected as the unit and leave braces a single space in
+var GNU_HALF_INDENT = "  ";
+
+/**
+ * Converts the `indent` option into the whitespace of a single indentation level.
+ * @param {string|number} option Either "tab" or the number of spaces.
+ * @returns {string} The whitespace of one indentation level.
+ * @private
+ */
+function parseOption(option) {
+    return option === "tab" ? "\t" : _.repeat(" ", option);
+}
+
+/**
+ * Detects the indentation unit a file uses from the leading whitespace of its
+ * lines. Tabs win when more lines start with a tab than with a space,
+ * otherwise the most common increase in indentation between consecutive
+ * lines is used.
+ * @param {string[]} lines The lines of the file.
+ * @returns {string} The detected whitespace of one indentation level.
+ * @private
+ */
+function detect(lines) {
+    var tabs = 0,
+        spaces = 0,
+        increases = {},
+        previous = 0;
+
+    lines.forEach(function(line) {
+        var trimmed = line.trim();
+
+        // skip blank lines and the continuation lines of block comments
+        if (!trimmed || trimmed.charAt(0) === "*") {
+            return;
+        }
+
+        var whitespace = (/^[ \t]*/).exec(line)[0];
+
+        if (whitespace.charAt(0) === "\t") {
+            tabs++;
+        } else if (whitespace) {
+            spaces++;
+
+            if (whitespace.length > previous) {
+                increases[whitespace.length - previous] = (increases[whitespace.length - previous] || 0) + 1;
+            }
+        }
+
+        previous = whitespace.charAt(0) === "\t" ? 0 : whitespace.length;
+    });
+
+    if (tabs > spaces) {
+        return "\t";
+    }
+
+    var width = _.maxBy(Object.keys(increases), function(key) {
+        return increases[key];
+    });
+
+    return width ? _.repeat(" ", Number(width)) : DEFAULT_UNIT;
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Creates the indentation helpers for a file.
+ * @param {SourceCode} sourceCode The source code of the file.
+ * @param {string|number} [option] The configured indentation, either "tab"
+ *      or a number of spaces. Detected from the file when omitted.
+ * @returns {Object} The indentation helpers.
+ */
+module.exports = function(sourceCode, option) {
+    var unit = typeof option === "undefined" ? detect(sourceCode.lines) : parseOption(option),
+        width = unit === "\t" ? TAB_WIDTH : unit.length || 1;
+
+    /**
+     * Measures the visual width of a run of whitespace.
+     * @param {string} whitespace The whitespace to measure.
+     * @returns {number} The width in columns.
+     */
+    function measure(whitespace) {
+        return whitespace.split("").reduce(function(acc, ch) {
+            return acc + (ch === "\t" ? width : 1);
+        }, 0);
+    }
+
+    /**
+     * Rewrites a run of whitespace using the file's indentation unit, keeping
+     * any partial level as trailing spaces.
+     * @param {string} whitespace The whitespace to rewrite.
+     * @returns {string} The normalized whitespace.
+     */
+    function normalize(whitespace) {
+        var columns = measure(whitespace);
+
+        return _.repeat(unit, Math.floor(columns / width)) + _.repeat(" ", columns % width);
+    }
+
+    /**
+     * Gets the normalized indentation of the line a token starts on.
+     * @param {Object} token The token or node.
+     * @returns {string} The indentation of the line.
+     */
+    function getLineIndent(token) {
+        var line = sourceCode.lines[token.loc.start.line - 1];
+
+        return normalize((/^[ \t]*/).exec(line)[0]);
+    }
+
+    /**
+     * Adds indentation levels to a run of whitespace.
+     * @param {string} whitespace The starting whitespace.
+     * @param {number} [levels=1] The number of levels to add.
+     * @returns {string} The normalized, nested whitespace.
+     */
+    function nest(whitespace, levels) {
+        return normalize(whitespace) + _.repeat(unit, typeof levels === "undefined" ? 1 : levels);
+    }
+
+    /**
+     * Adds half of an indentation level to a run of whitespace, as used for
+     * the braces of the GNU style. Only a configured unit is halved, since
+     * the unit detected from GNU code is the brace offset itself.
+     * @param {string} whitespace The starting whitespace.
+     * @returns {string} The normalized whitespace.
+     */
+    function nestHalf(whitespace) {
+        var half = typeof option === "undefined" ? GNU_HALF_INDENT : _.repeat(" ", Math.ceil(width / 2));
+
+        return normalize(whitespace) + half;
+    }
+
+    /**
+     * Gets the whitespace between a Horstmann opening brace and the first
+     * statement after it, which takes the statement to the next indentation
+     * level, the brace counting as one column.
+     * @returns {string} The whitespace after the brace.
+     */
+    function horstmannSeparator() {
+        return unit === "\t" ? "\t" : _.repeat(" ", Math.max(unit.length - 1, 1));
+    }
+
+    return {
+        unit: unit,
+        measure: measure,
+        normalize: normalize,
+        getLineIndent: getLineIndent,
+        nest: nest,
+        nestHalf: nestHalf,
+        horstmannSeparator: horstmannSeparator
+    };
+};
+
+module.exports.TAB_WIDTH = TAB_WIDTH;
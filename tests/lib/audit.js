@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Tests for the summary of the brace audit.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert"),
+    path = require("path"),
+    compat = require("../../lib/utils/compat"),
+    rule = require("../../lib/rules/brace-on-same-line"),
+    summarize = require("../../lib/audit");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var verify = compat.createLinter({ "brace-on-same-line": rule });
+
+var cwd = path.resolve("/project");
+
+/**
+ * Lints a file with brace-on-same-line in audit mode, as a lint result.
+ * @param {string} file The path of the file, relative to the project.
+ * @param {string} code The source code.
+ * @returns {Object} The result.
+ */
+function lint(file, code) {
+    return {
+        filePath: path.join(cwd, file),
+        messages: verify(code, { "brace-rules/brace-on-same-line": [1, "audit"] }, { ecmaVersion: 6 })
+    };
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("audit", function() {
+    it("should count the braces by block type and by directory", function() {
+        var summary = summarize([
+            lint("src/a.js", "function foo()\n{\n    if (a) {\n        b();\n    }\n    else {\n        c();\n    }\n}"),
+            lint("src/lib/b.js", "try { a(); } catch (e) {\n}"),
+            lint("c.js", "if (a) {\n    b();\n} else {\n    c();\n}")
+        ], cwd);
+
+        assert.equal(summary.files, 3);
+        assert.equal(summary.braces, 7);
+        assert.deepEqual(summary.byType, {
+            FunctionDeclaration: { sameLine: 0, nextLine: 1, singleLine: 0, cuddled: 0, notCuddled: 0 },
+            IfStatement: { sameLine: 4, nextLine: 0, singleLine: 0, cuddled: 1, notCuddled: 1 },
+            TryStatement: { sameLine: 1, nextLine: 0, singleLine: 1, cuddled: 1, notCuddled: 0 }
+        });
+        assert.deepEqual(summary.byDirectory, {
+            ".": { sameLine: 2, nextLine: 0, singleLine: 0, cuddled: 1, notCuddled: 0 },
+            src: { sameLine: 2, nextLine: 1, singleLine: 0, cuddled: 0, notCuddled: 1 },
+            "src/lib": { sameLine: 1, nextLine: 0, singleLine: 1, cuddled: 1, notCuddled: 0 }
+        });
+    });
+
+    it("should add up the fixes of each preset and pick the one which needs the fewest", function() {
+        var summary = summarize([
+            lint("a.js", "function foo()\n{\n    if (a) {\n        b();\n    }\n}"),
+            lint("b.js", "function bar()\n{\n}")
+        ], cwd);
+
+        assert.equal(summary.fixes["1tbs"], 2);
+        assert.equal(summary.fixes.kr, 0);
+        assert.equal(summary.fixes.allman, 1);
+        assert.equal(summary.bestFit, "kr");
+    });
+
+    it("should not count fixes which are only offered as suggestions", function() {
+        var summary = summarize([
+            lint("a.js", "if (a) // why\n{\n    b();\n}")
+        ], cwd);
+
+        assert.deepEqual(summary.fixes, {
+            "1tbs": 0,
+            allman: 0,
+            stroustrup: 0,
+            kr: 0,
+            whitesmiths: 2,
+            gnu: 2,
+            horstmann: 1,
+            ratliff: 1
+        });
+    });
+
+    it("should read the messages by messageId and node type, whatever their text", function() {
+        var summary = summarize([{
+            filePath: path.join(cwd, "a.js"),
+            messages: [
+                { ruleId: "brace-rules/brace-on-same-line", messageId: "auditFixes", message: "Fixes: 1tbs=2, allman=1, stroustrup=3, kr=0, whitesmiths=4, gnu=4, horstmann=4, ratliff=4." },
+                { ruleId: "brace-rules/brace-on-same-line", messageId: "auditNextLine", nodeType: "FunctionDeclaration", message: "Next line." },
+                { ruleId: "brace-rules/brace-on-same-line", messageId: "auditCuddled", nodeType: "IfStatement", message: "Cuddled." }
+            ]
+        }], cwd);
+
+        assert.equal(summary.files, 1);
+        assert.equal(summary.braces, 1);
+        assert.deepEqual(summary.byType, {
+            FunctionDeclaration: { sameLine: 0, nextLine: 1, singleLine: 0, cuddled: 0, notCuddled: 0 },
+            IfStatement: { sameLine: 0, nextLine: 0, singleLine: 0, cuddled: 1, notCuddled: 0 }
+        });
+        assert.equal(summary.fixes["1tbs"], 2);
+        assert.equal(summary.fixes.allman, 1);
+        assert.equal(summary.bestFit, "kr");
+    });
+
+    it("should skip files and messages which are not from the audit", function() {
+        var summary = summarize([
+            { filePath: path.join(cwd, "a.js"), messages: [{ ruleId: null, fatal: true, message: "Parsing error" }] },
+            { filePath: path.join(cwd, "b.js"), messages: [{ ruleId: "semi", message: "Audit: opening brace of IfStatement on the same line." }] }
+        ], cwd);
+
+        assert.equal(summary.files, 0);
+        assert.equal(summary.braces, 0);
+        assert.deepEqual(summary.byType, {});
+        assert.equal(summary.bestFit, null);
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Tests for the brace-rules command.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    cli = require("../../lib/cli");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var ALLMAN = "function foo()\n{\n    if (a)\n    {\n        b();\n    }\n}\n",
+    ONE_TBS = "function foo() {\n    if (a) {\n        b();\n    }\n}\n";
+
+var dir;
+
+function write(file, text) {
+    var fullPath = path.join(dir, file);
+
+    if (!fs.existsSync(path.dirname(fullPath))) {
+        fs.mkdirSync(path.dirname(fullPath));
+    }
+
+    fs.writeFileSync(fullPath, text);
+}
+
+function read(file) {
+    return fs.readFileSync(path.join(dir, file), "utf8");
+}
+
+function run(args) {
+    var result = { stdout: "", stderr: "" };
+
+    result.exitCode = cli.execute(args, {
+        stdout: function(text) {
+            result.stdout += text;
+        },
+        stderr: function(text) {
+            result.stderr += text;
+        },
+        cwd: dir
+    });
+
+    return result;
+}
+
+function remove(target) {
+    if (fs.statSync(target).isDirectory()) {
+        fs.readdirSync(target).forEach(function(name) {
+            remove(path.join(target, name));
+        });
+        fs.rmdirSync(target);
+    } else {
+        fs.unlinkSync(target);
+    }
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("cli", function() {
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "brace-rules-"));
+        write("src/a.js", ALLMAN);
+        write("src/b.js", ONE_TBS);
+        write("src/lib/c.js", "if (a)\n{\n}\n");
+        write("src/readme.md", ALLMAN);
+    });
+
+    afterEach(function() {
+        remove(dir);
+    });
+
+    it("should rewrite files in place and report the changes", function() {
+        var result = run(["src/a.js"]);
+
+        assert.equal(result.exitCode, 0);
+        assert.equal(read("src/a.js"), ONE_TBS);
+        assert.equal(result.stdout, "src/a.js: 2 braces changed (FunctionDeclaration: 1, IfStatement: 1)\n" +
+            "2 braces changed in 1 file (FunctionDeclaration: 1, IfStatement: 1)\n");
+    });
+
+    it("should convert the JavaScript files of a directory", function() {
+        var result = run(["--style", "allman", "src"]);
+
+        assert.equal(result.exitCode, 0);
+        assert.equal(read("src/b.js"), ALLMAN);
+        assert.equal(read("src/lib/c.js"), "if (a)\n{\n}\n");
+        assert.equal(read("src/readme.md"), ALLMAN);
+        assert.equal(result.stdout, "src/b.js: 2 braces changed (FunctionDeclaration: 1, IfStatement: 1)\n" +
+            "2 braces changed in 1 file (FunctionDeclaration: 1, IfStatement: 1)\n");
+    });
+
+    it("should expand globs", function() {
+        var result = run(["src/**/c.js"]);
+
+        assert.equal(result.exitCode, 0);
+        assert.equal(read("src/lib/c.js"), "if (a) {\n}\n");
+        assert.equal(read("src/a.js"), ALLMAN);
+    });
+
+    it("should print a diff instead of rewriting with --diff", function() {
+        var result = run(["--diff", "src/*.js"]);
+
+        assert.equal(result.exitCode, 0);
+        assert.equal(read("src/a.js"), ALLMAN);
+        assert.ok(result.stdout.indexOf("--- src/a.js\n+++ src/a.js\n") !== -1);
+        assert.ok(result.stdout.indexOf("-function foo()\n-{\n") !== -1);
+        assert.ok(result.stdout.indexOf("+function foo() {\n") !== -1);
+        assert.ok(result.stdout.indexOf("src/b.js") === -1);
+        assert.equal(result.stderr, "src/a.js: 2 braces changed (FunctionDeclaration: 1, IfStatement: 1)\n" +
+            "2 braces changed in 1 file (FunctionDeclaration: 1, IfStatement: 1)\n");
+    });
+
+    it("should pass the options object to the rule", function() {
+        write("src/d.js", "if (a) { b(); }\n");
+
+        run(["-s", "allman", "-o", "{\"allowSingleLine\":true}", "src/d.js"]);
+        assert.equal(read("src/d.js"), "if (a) { b(); }\n");
+    });
+
+    it("should convert JSX", function() {
+        write("src/d.jsx", "function Foo()\n{\n    return <div>{a}</div>;\n}\n");
+
+        var result = run(["src/d.jsx"]);
+
+        assert.equal(result.exitCode, 0);
+        assert.equal(read("src/d.jsx"), "function Foo() {\n    return <div>{a}</div>;\n}\n");
+    });
+
+    it("should report files which cannot be parsed and go on", function() {
+        write("src/bad.js", "if (\n");
+
+        var result = run(["src"]);
+
+        assert.equal(result.exitCode, 1);
+        assert.ok(/^src[\/\\]bad\.js: Parsing error/.test(result.stderr));
+        assert.equal(read("src/a.js"), ONE_TBS);
+    });
+
+    it("should fail when a pattern matches nothing", function() {
+        var result = run(["missing/*.js"]);
+
+        assert.equal(result.exitCode, 2);
+        assert.equal(result.stderr, "No files matching 'missing/*.js' were found.\n");
+    });
+
+    it("should fail on invalid arguments", function() {
+        assert.equal(run(["--wat", "src"]).exitCode, 2);
+        assert.equal(run(["-o", "{", "src"]).exitCode, 2);
+        assert.equal(run(["src", "-s"]).stderr, "Missing value for -s\n");
+    });
+
+    it("should fail on an invalid style or options without changing files", function() {
+        var result = run(["--style", "1tbss", "src"]);
+
+        assert.equal(result.exitCode, 2);
+        assert.ok(/^style should be equal to one of the allowed values: /.test(result.stderr));
+        assert.equal(read("src/a.js"), ALLMAN);
+
+        result = run(["-o", "{\"allowSingleLin\":true}", "src"]);
+
+        assert.equal(result.exitCode, 2);
+        assert.equal(result.stderr, "options should NOT have additional properties: \"allowSingleLin\".\n");
+
+        result = run(["--style", "audit", "src"]);
+
+        assert.equal(result.exitCode, 2);
+        assert.equal(result.stderr, "style \"audit\" cannot be converted to, since it only reports how the braces are placed.\n");
+        assert.equal(read("src/a.js"), ALLMAN);
+    });
+
+    it("should print usage", function() {
+        var result = run(["--help"]);
+
+        assert.equal(result.exitCode, 0);
+        assert.ok(result.stdout.indexOf("Usage: brace-rules") === 0);
+        assert.equal(run([]).exitCode, 2);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Tests for converting source code to a brace style.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert"),
+    convert = require("../../lib/convert");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("convert", function() {
+    it("should convert to 1tbs by default", function() {
+        var result = convert("function foo()\n{\n    if (a)\n    {\n        b();\n    }\n    else\n    {\n        c();\n    }\n}\n");
+
+        assert.equal(result.output, "function foo() {\n    if (a) {\n        b();\n    } else {\n        c();\n    }\n}\n");
+        assert.deepEqual(result.changes, { FunctionDeclaration: 1, IfStatement: 3 });
+        assert.equal(result.total, 4);
+    });
+
+    it("should count the changes by the block type of the braces", function() {
+        var result = convert("function foo() { if (a) { b(); } }\n", { style: "allman" });
+
+        assert.deepEqual(result.changes, { FunctionDeclaration: 3, IfStatement: 3 });
+
+        result = convert("try {\n    a();\n} catch (e) {\n    b();\n}\ndo {\n    c();\n} while (d);\n", { style: "stroustrup" });
+
+        assert.deepEqual(result.changes, { TryStatement: 1, DoWhileStatement: 1 });
+    });
+
+    it("should convert to the given style and options", function() {
+        var result = convert("if (a) {\n    b();\n} else {\n    c();\n}\n", { style: "stroustrup" });
+
+        assert.equal(result.output, "if (a) {\n    b();\n}\nelse {\n    c();\n}\n");
+
+        result = convert("if (a) { b(); }\n", { style: "allman", options: { allowSingleLine: true } });
+
+        assert.equal(result.output, "if (a) { b(); }\n");
+        assert.equal(result.total, 0);
+    });
+
+    it("should apply fixes until the output stops changing", function() {
+        var result = convert("function foo() { if (a) { b(); } }\n", { style: "allman" });
+
+        assert.equal(result.output, "function foo()\n{\n    if (a)\n    {\n        b();\n    }\n}\n");
+    });
+
+    it("should keep the CRLF line breaks of the source", function() {
+        var result = convert("function foo() {\r\n    if (a) { b(); }\r\n}\r\n", { style: "allman" });
+
+        assert.equal(result.output, "function foo()\r\n{\r\n    if (a)\r\n    {\r\n        b();\r\n    }\r\n}\r\n");
+    });
+
+    it("should leave code in the style alone", function() {
+        var source = "if (a) {\n    b();\n}\n";
+
+        assert.deepEqual(convert(source), { output: source, changes: {}, total: 0 });
+    });
+
+    it("should parse scripts which are not valid modules", function() {
+        assert.equal(convert("with (a)\n{\n}\n").output, "with (a) {\n}\n");
+    });
+
+    it("should throw when the style or options are not valid", function() {
+        assert.throws(function() {
+            convert("a;", { style: "1tbss" });
+        }, /^Error: style should be equal to one of the allowed values: "1tbs", .*; style should be object; /);
+
+        assert.throws(function() {
+            convert("a;", { style: { IfStatement: "sometimes" } });
+        }, /style\.IfStatement should be equal to one of the allowed values: "always", "never", "ignore"/);
+
+        assert.throws(function() {
+            convert("a;", { style: { IfStatment: "always" } });
+        }, /style should NOT have additional properties: "IfStatment"/);
+
+        assert.throws(function() {
+            convert("a;", { options: { allowSingleLine: "yes" } });
+        }, /^Error: options\.allowSingleLine should be boolean; /);
+
+        assert.throws(function() {
+            convert("a;", { options: { allowSingleLin: true } });
+        }, /^Error: options should NOT have additional properties: "allowSingleLin"\.$/);
+    });
+
+    it("should throw for the presets which do not place braces", function() {
+        assert.throws(function() {
+            convert("a;", { style: "audit" });
+        }, /^Error: style "audit" cannot be converted to, since it only reports how the braces are placed\.$/);
+
+        assert.throws(function() {
+            convert("a;", { style: "consistent" });
+        }, /^Error: style "consistent" cannot be converted to, since it keeps the style each file already has\.$/);
+    });
+
+    it("should throw when the source cannot be parsed", function() {
+        assert.throws(function() {
+            convert("if (");
+        }, /Parsing error/);
+    });
+});
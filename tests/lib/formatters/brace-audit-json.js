@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Tests for the brace-audit-json formatter.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert"),
+    path = require("path"),
+    formatter = require("../../../lib/formatters/brace-audit-json");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("brace-audit-json formatter", function() {
+    it("should print the summary as JSON", function() {
+        var cwd = path.resolve("/project"),
+            summary = JSON.parse(formatter([
+                {
+                    filePath: path.join(cwd, "a.js"),
+                    messages: [
+                        { ruleId: "brace-rules/brace-on-same-line", message: "Audit: fixes per preset 1tbs=0, allman=1, stroustrup=0, kr=1, whitesmiths=2, gnu=2, horstmann=1, ratliff=1." },
+                        { ruleId: "brace-rules/brace-on-same-line", message: "Audit: TryStatement block on a single line." }
+                    ]
+                }
+            ], { cwd: cwd }));
+
+        assert.deepEqual(summary, {
+            files: 1,
+            braces: 1,
+            byType: { TryStatement: { sameLine: 0, nextLine: 0, singleLine: 1, cuddled: 0, notCuddled: 0 } },
+            byDirectory: { ".": { sameLine: 0, nextLine: 0, singleLine: 1, cuddled: 0, notCuddled: 0 } },
+            fixes: { "1tbs": 0, allman: 1, stroustrup: 0, kr: 1, whitesmiths: 2, gnu: 2, horstmann: 1, ratliff: 1 },
+            bestFit: "1tbs"
+        });
+    });
+});
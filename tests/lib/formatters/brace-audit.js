@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Tests for the brace-audit formatter.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert"),
+    path = require("path"),
+    formatter = require("../../../lib/formatters/brace-audit");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var cwd = path.resolve("/project");
+
+function message(text) {
+    return { ruleId: "brace-rules/brace-on-same-line", severity: 1, message: text };
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("brace-audit formatter", function() {
+    it("should print the counts and the fixes of each preset as tables", function() {
+        var output = formatter([
+            {
+                filePath: path.join(cwd, "src/a.js"),
+                messages: [
+                    message("Audit: fixes per preset 1tbs=2, allman=1, stroustrup=3, kr=1, whitesmiths=4, gnu=4, horstmann=2, ratliff=5."),
+                    message("Audit: opening brace of FunctionDeclaration on the next line."),
+                    message("Audit: opening brace of IfStatement on the same line."),
+                    message("Audit: 'else' of IfStatement not cuddled.")
+                ]
+            }
+        ], { cwd: cwd });
+
+        assert.equal(output, [
+            "Brace audit of 2 braces in 1 file",
+            "",
+            "Block type           Same line  Next line  Single line  Cuddled  Not cuddled",
+            "FunctionDeclaration          0          1            0        0            0",
+            "IfStatement                  1          0            0        0            1",
+            "",
+            "Directory  Same line  Next line  Single line  Cuddled  Not cuddled",
+            "src                1          1            0        0            1",
+            "",
+            "Preset             Fixes",
+            "1tbs                   2",
+            "allman (best fit)      1",
+            "stroustrup             3",
+            "kr                     1",
+            "whitesmiths            4",
+            "gnu                    4",
+            "horstmann              2",
+            "ratliff                5",
+            "",
+            "Best fit: allman, with 1 fix",
+            ""
+        ].join("\n"));
+    });
+
+    it("should explain how to audit when there are no audit reports", function() {
+        assert.equal(
+            formatter([{ filePath: path.join(cwd, "a.js"), messages: [] }]),
+            "No brace audit reports found. Set brace-rules/brace-on-same-line to \"audit\" to audit the files.\n"
+        );
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests for the plugin definition and its configs.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert"),
+    linter = require("eslint").linter,
+    plugin = require("../../lib");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var configs = ["recommended", "1tbs", "stroustrup", "allman"];
+
+function verify(code, config) {
+    linter.reset();
+
+    Object.keys(plugin.rules).forEach(function(name) {
+        linter.defineRule("brace-rules/" + name, plugin.rules[name]);
+    });
+
+    return linter.verify(code, { rules: config.rules });
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("plugin", function() {
+    it("should have meta", function() {
+        assert.equal(plugin.meta.name, "eslint-plugin-brace-rules");
+        assert.equal(typeof plugin.meta.version, "string");
+    });
+
+    configs.forEach(function(name) {
+        describe("configs." + name, function() {
+            it("should only configure rules of the plugin or turn core rules off", function() {
+                Object.keys(plugin.configs[name].rules).forEach(function(rule) {
+                    var setting = plugin.configs[name].rules[rule];
+
+                    if (rule.indexOf("brace-rules/") === 0) {
+                        assert.ok(rule.slice("brace-rules/".length) in plugin.rules, rule);
+                    } else {
+                        assert.equal(setting, "off", rule);
+                    }
+                });
+            });
+
+            it("should turn off brace-style and curly", function() {
+                assert.equal(plugin.configs[name].rules["brace-style"], "off");
+                assert.equal(plugin.configs[name].rules.curly, "off");
+            });
+
+            it("should load the plugin by name", function() {
+                assert.deepEqual(plugin.configs[name].plugins, ["brace-rules"]);
+            });
+
+            it("should have a flat form with the same rules", function() {
+                var flat = plugin.configs["flat/" + name];
+
+                assert.strictEqual(flat.plugins["brace-rules"], plugin);
+                assert.deepEqual(flat.rules, plugin.configs[name].rules);
+            });
+
+            it("should run with its options", function() {
+                assert.ok(Array.isArray(verify("if (a)\n{\n    b();\n}\nelse c();", plugin.configs[name])));
+            });
+        });
+    });
+
+    it("should report code of another style", function() {
+        var messages = verify("if (a)\n{\n    b();\n}", plugin.configs["1tbs"]);
+
+        assert.equal(messages.length, 1);
+        assert.equal(messages[0].ruleId, "brace-rules/brace-on-same-line");
+    });
+});
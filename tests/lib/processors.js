@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Tests for the Markdown and HTML processors.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert"),
+    compat = require("../../lib/utils/compat"),
+    processors = require("../../lib/processors"),
+    rule = require("../../lib/rules/brace-on-same-line");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var verify = compat.createLinter({ "brace-on-same-line": rule });
+
+/**
+ * Lints a document with brace-on-same-line through a processor, as ESLint
+ * does for files the processor handles.
+ * @param {Object} processor The processor.
+ * @param {string} text The document.
+ * @param {string} filename The name of the document.
+ * @param {string} [style] The style of brace-on-same-line.
+ * @returns {Object[]} The messages of the document.
+ */
+function lint(processor, text, filename, style) {
+    var blocks = processor.preprocess(text, filename);
+
+    return processor.postprocess(blocks.map(function(code) {
+        return verify(code, { "brace-rules/brace-on-same-line": [2, style || "1tbs"] }, { ecmaVersion: 6 });
+    }), filename);
+}
+
+/**
+ * Applies the fixes of a set of messages, which must not overlap.
+ * @param {string} text The document.
+ * @param {Object[]} messages The messages.
+ * @returns {string} The fixed document.
+ */
+function applyFixes(text, messages) {
+    return messages.filter(function(message) {
+        return message.fix;
+    }).reverse().reduce(function(output, message) {
+        return output.slice(0, message.fix.range[0]) + message.fix.text + output.slice(message.fix.range[1]);
+    }, text);
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("processors", function() {
+    it("should be found by name and by file extension", function() {
+        assert.equal(processors[".md"], processors.markdown);
+        assert.equal(processors[".markdown"], processors.markdown);
+        assert.equal(processors[".html"], processors.html);
+        assert.equal(processors[".htm"], processors.html);
+        assert.equal(processors.markdown.supportsAutofix, true);
+    });
+
+    describe("markdown", function() {
+        it("should extract the js and javascript code fences", function() {
+            var text = "# Title\n\n```js\nvar a;\n```\n\n```css\na {}\n```\n\n~~~~JavaScript title\nvar b;\n```\n~~~~\n\n```\ntext\n```\n";
+
+            assert.deepEqual(processors.markdown.preprocess(text, "a.md"), ["var a;", "var b;\n```"]);
+            processors.markdown.postprocess([[], []], "a.md");
+        });
+
+        it("should lint a fence which is never closed to the end of the document", function() {
+            assert.deepEqual(processors.markdown.preprocess("```js\nvar a;\n", "a.md"), ["var a;\n"]);
+            processors.markdown.postprocess([[]], "a.md");
+        });
+
+        it("should remove the indentation of the fence from its code", function() {
+            var text = "* item\n\n    ```js\n    if (a) {\n      b();\n    }\n    ```\n";
+
+            assert.deepEqual(processors.markdown.preprocess(text, "a.md"), ["if (a) {\n  b();\n}"]);
+            processors.markdown.postprocess([[]], "a.md");
+        });
+
+        it("should report problems on the lines of the document", function() {
+            var messages = lint(processors.markdown, "Text\n\n```js\nif (a)\n{\n    b();\n}\n```\n", "a.md");
+
+            assert.equal(messages.length, 1);
+            assert.equal(messages[0].line, 4);
+            assert.equal(messages[0].column, 1);
+        });
+
+        it("should report problems in indented fences at their columns in the document", function() {
+            var messages = lint(processors.markdown, "1. item\n\n   ```js\n   if (a) {\n       b(); }\n   ```\n", "a.md");
+
+            assert.equal(messages.length, 1);
+            assert.equal(messages[0].line, 5);
+            assert.equal(messages[0].column, 8);
+        });
+
+        it("should leave messages without a line where they are", function() {
+            var message = { line: 0, column: 0, message: "x" };
+
+            assert.deepEqual(processors.markdown.postprocess([[message]], "x.md"), [message]);
+
+            processors.markdown.preprocess("```js\nvar a;\n```\n", "a.md");
+            assert.deepEqual(processors.markdown.postprocess([[message, { message: "y" }]], "a.md"), [message, { message: "y" }]);
+        });
+
+        it("should apply fixes inside the code fences", function() {
+            var text = "```js\nif (a)\n{\n    b();\n}\n```\n\nif (a)\n{\n}\n\n```js\nfunction foo()\n{\n}\n```\n";
+
+            assert.equal(
+                applyFixes(text, lint(processors.markdown, text, "a.md")),
+                "```js\nif (a) {\n    b();\n}\n```\n\nif (a)\n{\n}\n\n```js\nfunction foo() {\n}\n```\n"
+            );
+        });
+
+        it("should indent the lines which fixes add to indented fences", function() {
+            var text = "* item\n\n    ```js\n    if (a) { b(); }\n    ```\n";
+
+            assert.equal(
+                applyFixes(text, lint(processors.markdown, text, "a.md", "allman")),
+                "* item\n\n    ```js\n    if (a)\n    {\n        b();\n    }\n    ```\n"
+            );
+        });
+    });
+
+    describe("html", function() {
+        it("should extract the JavaScript script elements", function() {
+            var text = "<script>var a;</script>\n<script type=\"text/template\">{{a}}</script>\n<SCRIPT type='module'>\nvar b;\n</SCRIPT>\n<script src=\"c.js\"></script>";
+
+            assert.deepEqual(processors.html.preprocess(text, "a.html"), ["var a;", "\nvar b;\n", ""]);
+            processors.html.postprocess([[], [], []], "a.html");
+        });
+
+        it("should report problems on the lines of the document", function() {
+            var messages = lint(processors.html, "<p>\n  <script>if (a) { b(); }\n  if (c)\n  {\n  }</script>\n</p>\n", "a.html");
+
+            assert.deepEqual(messages.map(function(message) {
+                return [message.line, message.column];
+            }), [[2, 20], [2, 20], [3, 3]]);
+        });
+
+        it("should apply fixes inside the script elements", function() {
+            var text = "<html>\n<script>\nif (a)\n{\n    b();\n}\n</script>\n</html>\n";
+
+            assert.equal(
+                applyFixes(text, lint(processors.html, text, "a.html")),
+                "<html>\n<script>\nif (a) {\n    b();\n}\n</script>\n</html>\n"
+            );
+        });
+    });
+});
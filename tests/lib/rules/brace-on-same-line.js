@@ -15,12 +15,51 @@ var rule = require("../../../lib/rules/brace-on-same-line"),
 // Requirements
 //------------------------------------------------------------------------------
 
-var OPEN_MESSAGE = "Opening curly brace does not appear on the same line as controlling statement.",
-    OPEN_MESSAGE_ALLMAN = "Opening curly brace appears on the same line as controlling statement.",
-    BODY_MESSAGE = "Statement inside of curly braces should be on next line.",
-    CLOSE_MESSAGE = "Closing curly brace does not appear on the same line as the subsequent block.",
-    CLOSE_MESSAGE_SINGLE = "Closing curly brace should be on the same line as opening curly brace or on the line after the previous block.",
-    CLOSE_MESSAGE_STROUSTRUP_ALLMAN = "Closing curly brace appears on the same line as the subsequent block.";
+var messages = rule.meta.messages;
+
+var BODY_MESSAGE = messages.statementOnOpeningLine,
+    BODY_MESSAGE_HORSTMANN = messages.statementNotOnOpeningLine,
+    CLOSE_MESSAGE_SINGLE = messages.statementOnClosingLine;
+
+function format(messageId, construct) {
+    return messages[messageId].replace("{{construct}}", construct);
+}
+
+function openMessage(construct) {
+    return format("missingOpeningSameLine", construct);
+}
+
+function openMessageAllman(construct) {
+    return format("unexpectedOpeningSameLine", construct);
+}
+
+function closeMessage(construct) {
+    return format("missingCuddled", construct);
+}
+
+function closeMessageStroustrupAllman(construct) {
+    return format("unexpectedCuddled", construct);
+}
+
+function openIndentMessage(construct) {
+    return format("openingIndent", construct);
+}
+
+function closeIndentMessage(construct) {
+    return format("closingIndent", construct);
+}
+
+function maxLengthMessage(maxLength) {
+    return messages.exceedsMaxLength.replace("{{maxLength}}", maxLength);
+}
+
+function auditMessage(messageId, type, keyword) {
+    return messages[messageId].replace("{{type}}", type).replace("{{keyword}}", keyword);
+}
+
+function auditFixesMessage(fixes) {
+    return messages.auditFixes.replace("{{fixes}}", fixes);
+}
 
 //------------------------------------------------------------------------------
 // Tests
@@ -28,6 +67,11 @@ var OPEN_MESSAGE = "Opening curly brace does not appear on the same line as cont
 
 var ruleTester = new RuleTester();
 
+// the pinned espree cannot parse class static blocks
+var modernParser = require.resolve("espree");
+
+var typescriptParser = require.resolve("@typescript-eslint/parser");
+
 ruleTester.run("brace-on-same-line", rule, {
     valid: [
         "function f() {\n" +
@@ -59,6 +103,11 @@ ruleTester.run("brace-on-same-line", rule, {
         { code: "try { \n bar();\n }\ncatch (e) {\n baz(); \n }", options: ["stroustrup"] },
         { code: "try\n{\n bar();\n}\ncatch (e)\n{\n baz(); \n}", options: ["allman"] },
 
+        // a line break after return or break ends the statement, so the block is not joined
+        "function f() {\n    return\n    {\n        a();\n    }\n}",
+        { code: "function f()\n{\n    return\n    {\n        a();\n    }\n}", options: ["allman"] },
+        { code: "for (;;)\n{\n    break\n    {\n        a();\n    }\n}", options: ["allman"] },
+
         // allowSingleLine: true
         { code: "function foo () { return; }", options: ["1tbs", { allowSingleLine: true }] },
         { code: "function foo () { a(); b(); return; }", options: ["1tbs", { allowSingleLine: true }] },
@@ -107,67 +156,212 @@ ruleTester.run("brace-on-same-line", rule, {
         { code: "var foo=()=>{\nreturn;\n}", parserOptions: { ecmaVersion: 6 }, options: [{ ArrowFunctionExpression: "always" }]},
         { code: "var foo=()=>\n{\nreturn;\n}", parserOptions: { ecmaVersion: 6 }, options: [{ ArrowFunctionExpression: "never" }]},
         { code: "var foo=()=>{\nreturn;\n};\nvar bar=()=>\n{\nreturn;\n}", parserOptions: { ecmaVersion: 6 }, options: [{ ArrowFunctionExpression: "ignore" }]},
-        
+
+        // classes
+        { code: "class Foo {\n bar() {\n return;\n }\n}", parserOptions: { ecmaVersion: 6 } },
+        { code: "class Foo extends Bar {\n get baz() {\n return 1;\n }\n set baz(v) {\n }\n}", parserOptions: { ecmaVersion: 6 } },
+        { code: "var Foo = class {\n constructor() {\n }\n};", parserOptions: { ecmaVersion: 6 } },
+        { code: "class Foo\n{\n bar()\n {\n return;\n }\n}", parserOptions: { ecmaVersion: 6 }, options: ["allman"] },
+        { code: "class Foo\n{\n static\n {\n init();\n }\n}", parser: modernParser, parserOptions: { ecmaVersion: 2022 }, options: ["allman"] },
+        { code: "class Foo {\n static {\n init();\n }\n}", parser: modernParser, parserOptions: { ecmaVersion: 2022 } },
+        { code: "class Foo {}", parserOptions: { ecmaVersion: 6 } },
+        { code: "class Foo { bar() { return; } }", parserOptions: { ecmaVersion: 6 }, options: ["1tbs", { allowSingleLine: true }] },
+        { code: "class Foo {\n}", parserOptions: { ecmaVersion: 6 }, options: [{ ClassDeclaration: "always" }] },
+        { code: "class Foo\n{\n}", parserOptions: { ecmaVersion: 6 }, options: [{ ClassDeclaration: "never" }] },
+        { code: "var Foo = class\n{\n};", parserOptions: { ecmaVersion: 6 }, options: [{ ClassExpression: "never" }] },
+        { code: "class Foo {\n bar()\n {\n }\n}", parserOptions: { ecmaVersion: 6 }, options: [{ ClassDeclaration: "always", MethodDefinition: "never" }] },
+        { code: "class Foo {\n bar()\n {\n }\n}", parserOptions: { ecmaVersion: 6 }, options: [{ ClassDeclaration: "always", MethodDefinition: "ignore", FunctionExpression: "always" }] },
+        { code: "class Foo\n{\n bar() {\n }\n}", parserOptions: { ecmaVersion: 6 }, options: [{ ClassDeclaration: "ignore", MethodDefinition: "always" }] },
+        { code: "var foo = {\n bar: function()\n {\n }\n};\nclass Foo {\n bar() {\n }\n}", parserOptions: { ecmaVersion: 6 }, options: [{ FunctionExpression: "never", MethodDefinition: "always" }] },
+        { code: "class Foo {\n static\n {\n }\n}", parser: modernParser, parserOptions: { ecmaVersion: 2022 }, options: [{ ClassDeclaration: "always", StaticBlock: "ignore" }] },
+
+        // consistent
+        { code: "if (a)\n{\n}\nif (b)\n{\n}\nwhile (c) {\n}", options: ["consistent"] },
+        { code: "function a()\n{\n}\nfunction b()\n{\n}\nfunction c() { }", options: ["consistent", { allowSingleLine: true }] },
+        { code: "if (a) {\n}\nelse {\n}\ntry {\n} catch (e) {\n}", options: ["consistent"] },
+        { code: "class Foo {\n    bar()\n    {\n    }\n}\nvar foo = function() {\n};", parserOptions: { ecmaVersion: 6 }, options: ["consistent"] },
+        { code: "switch (a)\n{\n}\nfor (;;) {\n}", options: ["consistent"] },
+
+        // multilineHeader
+        { code: "if (a &&\n    b)\n{\n}\nif (c) {\n}", options: ["1tbs", { multilineHeader: "never" }] },
+        { code: "function foo(a,\n    b)\n{\n}\nfunction bar(a, b) {\n}", options: ["1tbs", { multilineHeader: "never" }] },
+        { code: "if (a &&\n    b)\n{\n} else {\n}", options: ["1tbs", { multilineHeader: "never" }] },
+        { code: "try {\n} catch (\n    e\n)\n{\n} finally {\n}", options: ["1tbs", { multilineHeader: "never" }] },
+        { code: "switch (a ||\n    b)\n{\n}", options: ["1tbs", { multilineHeader: "never" }] },
+        { code: "for (var i = 0;\n    i < 10;\n    i++)\n{\n}", options: ["1tbs", { multilineHeader: "never" }] },
+        { code: "if (a &&\n    b) {\n}", options: ["1tbs", { multilineHeader: "same" }] },
+        { code: "if (a &&\n    b) {\n}\nif (c)\n{\n}", options: ["allman", { multilineHeader: "always" }] },
+        { code: "if (a &&\n    b)\n{\n}\nfunction foo(a,\n    b) {\n}", options: ["1tbs", { multilineHeader: { IfStatement: "never" } }] },
+        { code: "if (a &&\n    b)\n{\n}\nif (c &&\n    d)\n{\n}\nif (e) {\n}", options: ["consistent", { multilineHeader: "never" }] },
+
+        // k&r
+        { code: "function foo()\n{\n  if (a) {\n    b();\n  } else {\n    c();\n  }\n}", options: ["kr"] },
+        { code: "var foo = function()\n{\n  while (a) {\n    b();\n  }\n};", options: ["kr"] },
+        { code: "class Foo {\n  bar()\n  {\n  }\n}", parserOptions: { ecmaVersion: 6 }, options: ["kr"] },
+
+        // whitesmiths
+        { code: "if (a)\n    {\n    b();\n    }\nelse\n    {\n    c();\n    }", options: ["whitesmiths"] },
+        { code: "function foo()\n    {\n    if (a)\n        {\n        }\n    }", options: ["whitesmiths"] },
+        { code: "switch (a)\n    {\n    case 1:\n        break;\n    }", options: ["whitesmiths"] },
+        { code: "if (a)\n    {\n    b();\n    }", options: ["allman", { braceIndent: "whitesmiths" }] },
+
+        // gnu
+        { code: "function foo()\n{\n  if (a)\n    {\n      b();\n    }\n  else\n    {\n      c();\n    }\n}", options: ["gnu"] },
+        { code: "while (a)\n  {\n    b();\n  }", options: ["gnu"] },
+
+        // horstmann
+        { code: "if (a)\n{   b();\n    c();\n}\nelse\n{   d();\n}", options: ["horstmann"] },
+        { code: "function foo()\n{\n}", options: ["horstmann"] },
+
+        // ratliff
+        { code: "if (a) {\n    b();\n    }\nelse {\n    c();\n    }", options: ["ratliff"] },
+        { code: "function foo() {\n  for (;;) {\n    b();\n    }\n  }", options: ["ratliff"] },
+        { code: "try {\n    a();\n    }\ncatch (e) {\n    }", options: ["ratliff"] },
+
+        // switch cases
+        "switch (a) {\n    case 1: {\n        b();\n        break;\n    }\n    default:\n        c();\n}",
+        "switch (a) {\n    case 1: {\n        b();\n    }\n    break;\n}",
+        { code: "switch (a)\n{\n    case 1:\n    {\n        b();\n    }\n}", options: ["allman"] },
+        { code: "switch (a) {\n    case 1:\n    {\n        b();\n    }\n}", options: [{ SwitchStatement: "always", SwitchCase: "never" }] },
+        { code: "switch (a) {\n    case 1:\n    {\n        b();\n    }\n}", options: [{ SwitchStatement: "always", SwitchCase: "ignore" }] },
+        { code: "switch (a) { case 1: { b(); } }", options: ["1tbs", { allowSingleLine: true }] },
+
+        // do-while
+        "do {\n    b();\n} while (a);",
+        { code: "do {\n    b();\n}\nwhile (a);", options: ["stroustrup"] },
+        { code: "do\n{\n    b();\n}\nwhile (a);", options: ["allman"] },
+        { code: "do {\n    b();\n}\nwhile (a);", options: ["1tbs", { noCuddledWhile: true }] },
+        { code: "do {\n    b();\n} while (a);", options: ["stroustrup", { noCuddledWhile: false }] },
+        { code: "do {\n    b();\n}\nwhile (a);\ndo {\n    c();\n}\nwhile (a);", options: ["consistent"] },
+
+        // maxLength
+        { code: "function foo(aaaaaa, bbbbbb) {\n}", options: ["1tbs", { maxLength: 30 }] },
+
+        // single-line policy
+        { code: "function foo() {\n    if (!x) { return; }\n}", options: ["1tbs", { allowSingleLine: { IfStatement: true } }] },
+        { code: "if (a) { b(); c(); }", options: ["1tbs", { allowSingleLine: { maxStatements: 2 } }] },
+        { code: "if (a) { b(); }\nif (a) {}", options: ["1tbs", { allowSingleLine: { maxLength: 15 } }] },
+        { code: "function foo() {\n\tif (a) { b(); }\n}", options: ["1tbs", { allowSingleLine: { maxLength: 18 }, tabWidth: 2 }] },
+        { code: "function foo() {}\nif (a) {}\nswitch (a) {}", options: ["allman", { requireSingleLineForEmpty: true }] },
+        { code: "function foo()\n{}", options: ["allman", { requireSingleLineForEmpty: true }] },
+        { code: "function foo() {\n    // later\n}", options: ["1tbs", { requireSingleLineForEmpty: true }] },
+
+        // if chains
+        { code: "if (a) {\n    b();\n} else if (c) {\n    d();\n} else {\n    e();\n}", options: ["1tbs", { consistentChains: true }] },
+        { code: "if (a) b();\nelse if (c) d();\nelse e();", options: ["1tbs", { consistentChains: true }] },
+        { code: "if (a) {\n}\nelse if (b) {\n}\nelse {\n}", options: [{ FunctionDeclaration: "always" }, { consistentChains: true }] },
+        { code: "if (a);\nelse {\n}", options: ["1tbs", { consistentChains: true }] },
+        { code: "if (a) {\n} else if (b) {\n} else {\n}", options: ["1tbs", { requireElseIfOnOneLine: true }] },
+        "if (a) {\n} else\nif (b) {\n}",
+
+        // contexts
+        { code: "function foo()\n{\n    arr.map(function(x) {\n        return x;\n    });\n}", options: ["allman", { callbacks: "always" }] },
+        { code: "(function() {\n    init();\n})();\n(function() {\n}).call(this);", options: ["allman", { iife: "always" }] },
+        { code: "(() => {\n})();", parserOptions: { ecmaVersion: 6 }, options: ["allman", { iife: "always" }] },
+        { code: "var foo = {\n    bar: function()\n    {\n    },\n    baz()\n    {\n    }\n};", parserOptions: { ecmaVersion: 6 }, options: ["1tbs", { objectMethods: "never" }] },
+        { code: "class Foo {\n    bar() {\n    }\n}", parserOptions: { ecmaVersion: 6 }, options: ["1tbs", { objectMethods: "never" }] },
+        { code: "function foo()\n{\n    function bar() {\n    }\n    var baz = () => {\n    };\n}", parserOptions: { ecmaVersion: 6 }, options: ["allman", { nested: "always" }] },
+        { code: "function foo() {\n    (function() {\n    })();\n    function bar()\n    {\n    }\n}", options: ["1tbs", { nested: "never", iife: "always" }] },
+        { code: "arr.map(function(x)\n{\n});\narr.forEach(function(x) {\n});", options: ["1tbs", { callbacks: "ignore" }] },
+        { code: "function a()\n{\n    b(function() {\n    });\n}\nvar c = function()\n{\n};", options: ["consistent", { callbacks: "always" }] },
+
+        // blocks and labels
+        "{\n    a();\n}",
+        { code: "function foo() {\n    {\n        let a;\n    }\n}", parserOptions: { ecmaVersion: 6 } },
+        { code: "{ a(); }", options: ["1tbs", { allowSingleLine: true }] },
+        { code: "{ a(); }", options: ["1tbs", { allowSingleLine: { BlockStatement: true } }] },
+        { code: "{ a(); }", options: [{ IfStatement: "always", BlockStatement: "ignore" }] },
+        { code: "{\n    a();\n}", options: ["whitesmiths"] },
+        { code: "{   a();\n    b();\n}", options: ["horstmann"] },
+        "switch (a) {\n    case 1:\n        b();\n        {\n            c();\n        }\n}",
+        "outer: {\n    break outer;\n}",
+        { code: "outer:\n{\n    break outer;\n}", options: ["allman"] },
+        { code: "function foo()\n{\n    outer: {\n        break outer;\n    }\n}", options: ["kr"] },
+        "outer: for (;;) {\n    break outer;\n}",
+        "outer:\nfor (;;) {\n    break outer;\n}",
+        { code: "outer:\nfor (;;)\n{\n    continue outer;\n}", options: ["allman"] },
+
+        // typescript
+        { code: "interface Foo {\n    a: string;\n}", parser: typescriptParser },
+        { code: "interface Foo extends Bar\n{\n    a: string;\n}", parser: typescriptParser, options: ["allman"] },
+        { code: "enum Foo {\n    A,\n    B\n}", parser: typescriptParser },
+        { code: "const enum Foo\n{\n    A\n}", parser: typescriptParser, options: ["allman"] },
+        { code: "namespace Foo {\n    var a;\n}", parser: typescriptParser },
+        { code: "namespace Foo.Bar\n{\n    var a;\n}", parser: typescriptParser, options: ["allman"] },
+        { code: "declare module \"foo\" {\n}", parser: typescriptParser },
+        { code: "declare global {\n    interface Window {\n    }\n}", parser: typescriptParser },
+        { code: "type Foo = {\n    a: string;\n};", parser: typescriptParser },
+        { code: "type Foo =\n{\n    a: string;\n};", parser: typescriptParser, options: ["allman"] },
+        { code: "type Foo = { a: string };\nfunction foo(a: { b: string }) {\n}", parser: typescriptParser },
+        { code: "interface Foo { a: string; }\nenum Bar { A }", parser: typescriptParser, options: ["1tbs", { allowSingleLine: true }] },
+        { code: "function foo()\n{\n}\ninterface Foo {\n}", parser: typescriptParser, options: ["kr"] },
+        { code: "interface Foo\n{\n}\nenum Bar {\n}", parser: typescriptParser, options: [{ TSInterfaceBody: "never", TSEnumDeclaration: "always" }] },
+        { code: "interface Foo\n{\n}", parser: typescriptParser, options: [{ FunctionDeclaration: "always", TSInterfaceBody: "ignore" }] },
+        { code: "interface Foo extends Bar,\n    Baz\n{\n}", parser: typescriptParser, options: ["1tbs", { multilineHeader: "never" }] },
+        { code: "interface Foo\n{\n}\ninterface Bar\n{\n}\nenum Baz {\n}", parser: typescriptParser, options: ["consistent"] },
+        { code: "interface Foo extends Bar,\n    Baz\n{\n}\ntype Foo = {\n    a: string;\n};", parser: typescriptParser, options: ["consistent", { multilineHeader: "never" }] }
     ],
 
     invalid: [
-        { code: "if (f) {\nbar;\n}\nelse\nbaz;", errors: [{ message: CLOSE_MESSAGE, type: "ExpressionStatement"}] },
+        { code: "if (f) {\nbar;\n}\nelse\nbaz;", errors: [{ message: closeMessage("'else' clause"), type: "ExpressionStatement"}] },
         { code: "var foo = () => { return; }", parserOptions: { ecmaVersion: 6 }, errors: [{ message: BODY_MESSAGE, type: "ReturnStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ReturnStatement"}] },
         { code: "function foo() { return; }", errors: [{ message: BODY_MESSAGE, type: "ReturnStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ReturnStatement"}] },
-        { code: "function foo() \n { \n return; }", errors: [{ message: OPEN_MESSAGE, type: "FunctionDeclaration"}, { message: CLOSE_MESSAGE_SINGLE, type: "ReturnStatement"}] },
-        { code: "!function foo() \n { \n return; }", errors: [{ message: OPEN_MESSAGE, type: "FunctionExpression"}, { message: CLOSE_MESSAGE_SINGLE, type: "ReturnStatement"}] },
-        { code: "if (foo) \n { \n bar(); }", errors: [{ message: OPEN_MESSAGE, type: "IfStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
-        { code: "if (a) { \nb();\n } else \n { c(); }", errors: [{ message: OPEN_MESSAGE, type: "IfStatement"}, { message: BODY_MESSAGE, type: "ExpressionStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
-        { code: "while (foo) \n { \n bar(); }", errors: [{ message: OPEN_MESSAGE, type: "WhileStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
-        { code: "for (;;) \n { \n bar(); }", errors: [{ message: OPEN_MESSAGE, type: "ForStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
-        { code: "with (foo) \n { \n bar(); }", errors: [{ message: OPEN_MESSAGE, type: "WithStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
-        { code: "switch (foo) \n { \n case \"bar\": break; }", errors: [{ message: OPEN_MESSAGE, type: "SwitchStatement"}] },
-        { code: "switch (foo) \n { }", errors: [{ message: OPEN_MESSAGE, type: "SwitchStatement"}] },
-        { code: "try \n { \n bar(); \n } catch (e) {}", errors: [{ message: OPEN_MESSAGE, type: "TryStatement"}] },
-        { code: "try { \n bar(); \n } catch (e) \n {}", errors: [{ message: OPEN_MESSAGE, type: "CatchClause"}] },
-        { code: "do \n { \n bar(); \n} while (true)", errors: [{ message: OPEN_MESSAGE, type: "DoWhileStatement"}] },
-        { code: "for (foo in bar) \n { \n baz(); \n }", errors: [{ message: OPEN_MESSAGE, type: "ForInStatement"}] },
-        { code: "for (foo of bar) \n { \n baz(); \n }", parserOptions: { ecmaVersion: 6 }, errors: [{ message: OPEN_MESSAGE, type: "ForOfStatement"}] },
-        { code: "try { \n bar(); \n }\ncatch (e) {\n}", errors: [{ message: CLOSE_MESSAGE, type: "CatchClause"}] },
-        { code: "try { \n bar(); \n } catch (e) {\n}\n finally {\n}", errors: [{ message: CLOSE_MESSAGE, type: "BlockStatement"}] },
-        { code: "if (a) { \nb();\n } \n else { \nc();\n }", errors: [{ message: CLOSE_MESSAGE, type: "BlockStatement" }]},
-        { code: "try { \n bar(); \n }\ncatch (e) {\n} finally {\n}", options: ["stroustrup"], errors: [{ message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "BlockStatement"}] },
-        { code: "try { \n bar(); \n } catch (e) {\n}\n finally {\n}", options: ["stroustrup"], errors: [{ message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "CatchClause"}] },
-        { code: "if (a) { \nb();\n } else { \nc();\n }", options: ["stroustrup"], errors: [{ message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "BlockStatement" }]},
-        { code: "if (foo) {\nbaz();\n} else if (bar) {\nbaz();\n}\nelse {\nqux();\n}", options: ["stroustrup"], errors: [{ message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "IfStatement" }] },
-        { code: "if (foo) {\npoop();\n} \nelse if (bar) {\nbaz();\n} else if (thing) {\nboom();\n}\nelse {\nqux();\n}", options: ["stroustrup"], errors: [{ message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "IfStatement" }] },
+        { code: "function foo() \n { \n return; }", errors: [{ message: openMessage("function"), type: "FunctionDeclaration"}, { message: CLOSE_MESSAGE_SINGLE, type: "ReturnStatement"}] },
+        { code: "!function foo() \n { \n return; }", errors: [{ message: openMessage("function"), type: "FunctionExpression"}, { message: CLOSE_MESSAGE_SINGLE, type: "ReturnStatement"}] },
+        { code: "if (foo) \n { \n bar(); }", errors: [{ message: openMessage("'if' statement"), type: "IfStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
+        { code: "if (a) { \nb();\n } else \n { c(); }", errors: [{ message: openMessage("'else' clause"), type: "IfStatement"}, { message: BODY_MESSAGE, type: "ExpressionStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
+        { code: "while (foo) \n { \n bar(); }", errors: [{ message: openMessage("'while' loop"), type: "WhileStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
+        { code: "for (;;) \n { \n bar(); }", errors: [{ message: openMessage("'for' loop"), type: "ForStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
+        { code: "with (foo) \n { \n bar(); }", errors: [{ message: openMessage("'with' statement"), type: "WithStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
+        { code: "switch (foo) \n { \n case \"bar\": break; }", errors: [{ message: openMessage("'switch' statement"), type: "SwitchStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "SwitchCase"}] },
+        { code: "switch (foo) \n { }", errors: [{ message: openMessage("'switch' statement"), type: "SwitchStatement"}] },
+        { code: "try \n { \n bar(); \n } catch (e) {}", errors: [{ message: openMessage("'try' statement"), type: "TryStatement"}] },
+        { code: "try { \n bar(); \n } catch (e) \n {}", errors: [{ message: openMessage("'catch' clause"), type: "CatchClause"}] },
+        { code: "do \n { \n bar(); \n} while (true)", errors: [{ message: openMessage("'do-while' loop"), type: "DoWhileStatement"}] },
+        { code: "for (foo in bar) \n { \n baz(); \n }", errors: [{ message: openMessage("'for-in' loop"), type: "ForInStatement"}] },
+        { code: "for (foo of bar) \n { \n baz(); \n }", parserOptions: { ecmaVersion: 6 }, errors: [{ message: openMessage("'for-of' loop"), type: "ForOfStatement"}] },
+        { code: "try { \n bar(); \n }\ncatch (e) {\n}", errors: [{ message: closeMessage("'catch' clause"), type: "CatchClause"}] },
+        { code: "try { \n bar(); \n } catch (e) {\n}\n finally {\n}", errors: [{ message: closeMessage("'finally' clause"), type: "BlockStatement"}] },
+        { code: "if (a) { \nb();\n } \n else { \nc();\n }", errors: [{ message: closeMessage("'else' clause"), type: "BlockStatement" }]},
+        { code: "try { \n bar(); \n }\ncatch (e) {\n} finally {\n}", options: ["stroustrup"], errors: [{ message: closeMessageStroustrupAllman("'finally' clause"), type: "BlockStatement"}] },
+        { code: "try { \n bar(); \n } catch (e) {\n}\n finally {\n}", options: ["stroustrup"], errors: [{ message: closeMessageStroustrupAllman("'catch' clause"), type: "CatchClause"}] },
+        { code: "if (a) { \nb();\n } else { \nc();\n }", options: ["stroustrup"], errors: [{ message: closeMessageStroustrupAllman("'else' clause"), type: "BlockStatement" }]},
+        { code: "if (foo) {\nbaz();\n} else if (bar) {\nbaz();\n}\nelse {\nqux();\n}", options: ["stroustrup"], errors: [{ message: closeMessageStroustrupAllman("'else' clause"), type: "IfStatement" }] },
+        { code: "if (foo) {\npoop();\n} \nelse if (bar) {\nbaz();\n} else if (thing) {\nboom();\n}\nelse {\nqux();\n}", options: ["stroustrup"], errors: [{ message: closeMessageStroustrupAllman("'else' clause"), type: "IfStatement" }] },
 
         { code: "try { \n bar(); \n }\n catch (e) {\n}\n finally {\n}", options: ["allman"], errors: [
-            { message: OPEN_MESSAGE_ALLMAN, type: "TryStatement", line: 1},
-            { message: OPEN_MESSAGE_ALLMAN, type: "TryStatement", line: 1},
-            { message: OPEN_MESSAGE_ALLMAN, type: "CatchClause", line: 4}
+            { message: openMessageAllman("'try' statement"), type: "TryStatement", line: 1},
+            { message: openMessageAllman("'finally' clause"), type: "TryStatement", line: 1},
+            { message: openMessageAllman("'catch' clause"), type: "CatchClause", line: 4}
         ] },
         { code: "switch(x) { case 1: \nbar(); }\n ", options: ["allman"], errors: [
-            { message: OPEN_MESSAGE_ALLMAN, type: "SwitchStatement", line: 1}
+            { message: openMessageAllman("'switch' statement"), type: "SwitchStatement", line: 1},
+            { message: BODY_MESSAGE, type: "SwitchCase", line: 1},
+            { message: CLOSE_MESSAGE_SINGLE, type: "SwitchCase", line: 1}
         ] },
         { code: "if (a) { \nb();\n } else { \nc();\n }", options: ["allman"], errors: [
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" },
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" },
-            { message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "BlockStatement" }
+            { message: openMessageAllman("'if' statement"), type: "IfStatement" },
+            { message: openMessageAllman("'else' clause"), type: "IfStatement" },
+            { message: closeMessageStroustrupAllman("'else' clause"), type: "BlockStatement" }
         ]},
         { code: "if (foo) {\nbaz();\n} else if (bar) {\nbaz();\n}\nelse {\nqux();\n}", options: ["allman"], errors: [
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" },
-            { message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "IfStatement" },
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" },
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" }
+            { message: openMessageAllman("'if' statement"), type: "IfStatement" },
+            { message: closeMessageStroustrupAllman("'else' clause"), type: "IfStatement" },
+            { message: openMessageAllman("'if' statement"), type: "IfStatement" },
+            { message: openMessageAllman("'else' clause"), type: "IfStatement" }
         ] },
         { code: "if (foo)\n{ poop();\n} \nelse if (bar) {\nbaz();\n} else if (thing) {\nboom();\n}\nelse {\nqux();\n}", options: ["allman"], errors: [
             { message: BODY_MESSAGE, type: "ExpressionStatement" },
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" },
-            { message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "IfStatement" },
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" },
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" }
+            { message: openMessageAllman("'if' statement"), type: "IfStatement" },
+            { message: closeMessageStroustrupAllman("'else' clause"), type: "IfStatement" },
+            { message: openMessageAllman("'if' statement"), type: "IfStatement" },
+            { message: openMessageAllman("'else' clause"), type: "IfStatement" }
         ] },
         { code: "if (foo)\n{\n  bar(); }", options: ["allman"], errors: [
             { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" }
         ] },
         { code: "try\n{\n  somethingRisky();\n} catch (e)\n{\n  handleError()\n}", options: ["allman"], errors: [
-            { message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "CatchClause" }
+            { message: closeMessageStroustrupAllman("'catch' clause"), type: "CatchClause" }
         ] },
 
         // allowSingleLine: true
@@ -177,34 +371,1287 @@ ruleTester.run("brace-on-same-line", rule, {
         { code: "function foo() {\na();\nb();\nreturn; }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE_SINGLE, type: "ReturnStatement"}] },
         { code: "!function foo() { \n return; }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE_SINGLE, type: "ReturnStatement"}] },
         { code: "if (foo) \n { bar(); }", options: ["1tbs", { allowSingleLine: true }], errors: [
-            { message: OPEN_MESSAGE, type: "IfStatement"},
+            { message: openMessage("'if' statement"), type: "IfStatement"},
             { message: BODY_MESSAGE, type: "ExpressionStatement"},
             { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}
         ] },
         { code: "if (a) { b();\n } else { c(); }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: BODY_MESSAGE, type: "ExpressionStatement"}] },
-        { code: "if (a) { b(); }\nelse { c(); }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE, type: "BlockStatement" }] },
+        { code: "if (a) { b(); }\nelse { c(); }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: closeMessage("'else' clause"), type: "BlockStatement" }] },
         { code: "while (foo) { \n bar(); }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement"}] },
         { code: "for (;;) { bar(); \n }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: BODY_MESSAGE, type: "ExpressionStatement"}] },
         { code: "with (foo) { bar(); \n }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: BODY_MESSAGE, type: "ExpressionStatement"}] },
-        { code: "switch (foo) \n { \n case \"bar\": break; }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: OPEN_MESSAGE, type: "SwitchStatement"}] },
-        { code: "switch (foo) \n { }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: OPEN_MESSAGE, type: "SwitchStatement"}] },
-        { code: "try {  bar(); }\ncatch (e) { baz();  }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE, type: "CatchClause" }] },
-        { code: "try \n { \n bar(); \n } catch (e) {}", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: OPEN_MESSAGE, type: "TryStatement"}] },
-        { code: "try { \n bar(); \n } catch (e) \n {}", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: OPEN_MESSAGE, type: "CatchClause"}] },
-        { code: "do \n { \n bar(); \n} while (true)", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: OPEN_MESSAGE, type: "DoWhileStatement"}] },
-        { code: "for (foo in bar) \n { \n baz(); \n }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: OPEN_MESSAGE, type: "ForInStatement"}] },
-        { code: "try { \n bar(); \n }\ncatch (e) {\n}", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE, type: "CatchClause"}] },
-        { code: "try { \n bar(); \n } catch (e) {\n}\n finally {\n}", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE, type: "BlockStatement"}] },
-        { code: "if (a) { \nb();\n } \n else { \nc();\n }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE, type: "BlockStatement" }]},
-        { code: "try { \n bar(); \n }\ncatch (e) {\n} finally {\n}", options: ["stroustrup", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "BlockStatement"}] },
-        { code: "try { \n bar(); \n } catch (e) {\n}\n finally {\n}", options: ["stroustrup", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "CatchClause"}] },
-        { code: "if (a) { \nb();\n } else { \nc();\n }", options: ["stroustrup", { allowSingleLine: true }], errors: [{ message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "BlockStatement" }]},
+        { code: "switch (foo) \n { \n case \"bar\": break; }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: openMessage("'switch' statement"), type: "SwitchStatement"}, { message: CLOSE_MESSAGE_SINGLE, type: "SwitchCase"}] },
+        { code: "switch (foo) \n { }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: openMessage("'switch' statement"), type: "SwitchStatement"}] },
+        { code: "try {  bar(); }\ncatch (e) { baz();  }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: closeMessage("'catch' clause"), type: "CatchClause" }] },
+        { code: "try \n { \n bar(); \n } catch (e) {}", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: openMessage("'try' statement"), type: "TryStatement"}] },
+        { code: "try { \n bar(); \n } catch (e) \n {}", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: openMessage("'catch' clause"), type: "CatchClause"}] },
+        { code: "do \n { \n bar(); \n} while (true)", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: openMessage("'do-while' loop"), type: "DoWhileStatement"}] },
+        { code: "for (foo in bar) \n { \n baz(); \n }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: openMessage("'for-in' loop"), type: "ForInStatement"}] },
+        { code: "try { \n bar(); \n }\ncatch (e) {\n}", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: closeMessage("'catch' clause"), type: "CatchClause"}] },
+        { code: "try { \n bar(); \n } catch (e) {\n}\n finally {\n}", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: closeMessage("'finally' clause"), type: "BlockStatement"}] },
+        { code: "if (a) { \nb();\n } \n else { \nc();\n }", options: ["1tbs", { allowSingleLine: true }], errors: [{ message: closeMessage("'else' clause"), type: "BlockStatement" }]},
+        { code: "try { \n bar(); \n }\ncatch (e) {\n} finally {\n}", options: ["stroustrup", { allowSingleLine: true }], errors: [{ message: closeMessageStroustrupAllman("'finally' clause"), type: "BlockStatement"}] },
+        { code: "try { \n bar(); \n } catch (e) {\n}\n finally {\n}", options: ["stroustrup", { allowSingleLine: true }], errors: [{ message: closeMessageStroustrupAllman("'catch' clause"), type: "CatchClause"}] },
+        { code: "if (a) { \nb();\n } else { \nc();\n }", options: ["stroustrup", { allowSingleLine: true }], errors: [{ message: closeMessageStroustrupAllman("'else' clause"), type: "BlockStatement" }]},
         { code: "if (foo)\n{ poop();\n} \nelse if (bar) {\nbaz();\n} else if (thing) {\nboom();\n}\nelse {\nqux();\n}", options: ["allman", { allowSingleLine: true }], errors: [
             { message: BODY_MESSAGE, type: "ExpressionStatement" },
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" },
-            { message: CLOSE_MESSAGE_STROUSTRUP_ALLMAN, type: "IfStatement" },
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" },
-            { message: OPEN_MESSAGE_ALLMAN, type: "IfStatement" }
-        ] }
+            { message: openMessageAllman("'if' statement"), type: "IfStatement" },
+            { message: closeMessageStroustrupAllman("'else' clause"), type: "IfStatement" },
+            { message: openMessageAllman("'if' statement"), type: "IfStatement" },
+            { message: openMessageAllman("'else' clause"), type: "IfStatement" }
+        ] },
+
+        // classes
+        {
+            code: "class Foo\n{\n bar() {\n return;\n }\n}",
+            output: "class Foo {\n bar() {\n return;\n }\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("class"), type: "ClassDeclaration" }]
+        },
+        {
+            code: "var Foo = class\n{\n};",
+            output: "var Foo = class {\n};",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("class"), type: "ClassExpression" }]
+        },
+        {
+            code: "class Foo {\n bar()\n {\n return;\n }\n}",
+            output: "class Foo {\n bar() {\n return;\n }\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("method"), type: "MethodDefinition" }]
+        },
+        {
+            code: "class Foo {\n get bar()\n {\n return 1;\n }\n set bar(v)\n {\n }\n}",
+            output: "class Foo {\n get bar() {\n return 1;\n }\n set bar(v) {\n }\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [
+                { message: openMessage("method"), type: "MethodDefinition", line: 2 },
+                { message: openMessage("method"), type: "MethodDefinition", line: 6 }
+            ]
+        },
+        {
+            code: "class Foo { bar() {} }",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [
+                { message: BODY_MESSAGE, type: "MethodDefinition" },
+                { message: CLOSE_MESSAGE_SINGLE, type: "MethodDefinition" }
+            ]
+        },
+        {
+            code: "class Foo {\n static\n {\n init();\n }\n}",
+            output: "class Foo {\n static {\n init();\n }\n}",
+            parser: modernParser,
+            parserOptions: { ecmaVersion: 2022 },
+            errors: [{ message: openMessage("static block"), type: "StaticBlock" }]
+        },
+        {
+            code: "class Foo {\n  bar() {\n  }\n}",
+            output: "class Foo\n{\n  bar()\n  {\n  }\n}",
+            options: ["allman"],
+            parserOptions: { ecmaVersion: 6 },
+            errors: [
+                { message: openMessageAllman("class"), type: "ClassDeclaration" },
+                { message: openMessageAllman("method"), type: "MethodDefinition" }
+            ]
+        },
+        {
+            code: "class Foo\n{\n  static {\n  }\n}",
+            output: "class Foo\n{\n  static\n  {\n  }\n}",
+            options: ["allman"],
+            parser: modernParser,
+            parserOptions: { ecmaVersion: 2022 },
+            errors: [{ message: openMessageAllman("static block"), type: "StaticBlock" }]
+        },
+        {
+            code: "class Foo {\n bar()\n {\n }\n}",
+            output: "class Foo\n{\n bar()\n {\n }\n}",
+            options: [{ ClassDeclaration: "never", MethodDefinition: "never", FunctionExpression: "always" }],
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessageAllman("class"), type: "ClassDeclaration" }]
+        },
+
+        // indentation
+        {
+            code: "function foo() { return; }",
+            output: "function foo() {\n    return;\n}",
+            errors: [{ message: BODY_MESSAGE, type: "ReturnStatement" }, { message: CLOSE_MESSAGE_SINGLE, type: "ReturnStatement" }]
+        },
+        {
+            code: "function foo() {\n\tif (a) { b(); }\n}",
+            output: "function foo() {\n\tif (a) {\n\t\tb();\n\t}\n}",
+            errors: [{ message: BODY_MESSAGE, type: "ExpressionStatement" }, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" }]
+        },
+        {
+            code: "function foo()\n{\n\tif (a) {\n\t\tb();\n\t} else {\n\t\tc();\n\t}\n}",
+            output: "function foo()\n{\n\tif (a)\n\t{\n\t\tb();\n\t}\n\telse\n\t{\n\t\tc();\n\t}\n}",
+            options: ["allman"],
+            errors: [
+                { message: openMessageAllman("'if' statement"), type: "IfStatement", line: 3 },
+                { message: openMessageAllman("'else' clause"), type: "IfStatement", line: 3 },
+                { message: closeMessageStroustrupAllman("'else' clause"), type: "BlockStatement", line: 5 }
+            ]
+        },
+        {
+            code: "function foo()\n{\n\tswitch (a) {\n\t\tcase 1:\n\t\t\tbreak;\n\t}\n}",
+            output: "function foo()\n{\n\tswitch (a)\n\t{\n\t\tcase 1:\n\t\t\tbreak;\n\t}\n}",
+            options: ["allman"],
+            errors: [{ message: openMessageAllman("'switch' statement"), type: "SwitchStatement" }]
+        },
+        {
+            code: "if (a) { b(); }",
+            output: "if (a) {\n  b();\n}",
+            options: ["1tbs", { indent: 2 }],
+            errors: [{ message: BODY_MESSAGE, type: "ExpressionStatement" }, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" }]
+        },
+        {
+            code: "if (a)\n{\n\tb();\n}",
+            output: "if (a)\n\t{\n\tb();\n\t}",
+            options: ["whitesmiths", { indent: "tab" }],
+            errors: [
+                { message: openIndentMessage("'if' statement"), type: "IfStatement", line: 2 },
+                { message: closeIndentMessage("'if' statement"), type: "IfStatement", line: 4 }
+            ]
+        },
+        {
+            code: "if (a)\n    {\n\tb();\n    }",
+            output: "if (a)\n\t{\n\tb();\n\t}",
+            options: ["whitesmiths", { indent: "tab" }],
+            errors: [
+                { message: openIndentMessage("'if' statement"), type: "IfStatement", line: 2 },
+                { message: closeIndentMessage("'if' statement"), type: "IfStatement", line: 4 }
+            ]
+        },
+
+        // consistent
+        {
+            code: "if (a)\n{\n}\nif (b)\n{\n}\nif (c) {\n}",
+            output: "if (a)\n{\n}\nif (b)\n{\n}\nif (c)\n{\n}",
+            options: ["consistent"],
+            errors: [{ message: openMessageAllman("'if' statement"), type: "IfStatement", line: 7 }]
+        },
+        {
+            code: "if (a) {\n}\nif (b) {\n}\nif (c)\n{\n}",
+            output: "if (a) {\n}\nif (b) {\n}\nif (c) {\n}",
+            options: ["consistent"],
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement", line: 5 }]
+        },
+        {
+            code: "while (a) {\n}\nwhile (b)\n{\n}",
+            output: "while (a) {\n}\nwhile (b) {\n}",
+            options: ["consistent"],
+            errors: [{ message: openMessage("'while' loop"), type: "WhileStatement", line: 3 }]
+        },
+        {
+            code: "function a()\n{\n}\nif (b)\n{\n}\nwhile (c) {\n}",
+            output: "function a()\n{\n}\nif (b)\n{\n}\nwhile (c)\n{\n}",
+            options: ["consistent", { consistentScope: "file" }],
+            errors: [{ message: openMessageAllman("'while' loop"), type: "WhileStatement", line: 7 }]
+        },
+        {
+            code: "if (a) {\n}\nelse {\n}\nif (b) {\n}\nelse {\n}\nif (c) {\n} else {\n}",
+            output: "if (a) {\n}\nelse {\n}\nif (b) {\n}\nelse {\n}\nif (c) {\n}\nelse {\n}",
+            options: ["consistent"],
+            errors: [{ message: closeMessageStroustrupAllman("'else' clause"), type: "BlockStatement", line: 10 }]
+        },
+        {
+            code: "try {\n} catch (e) {\n} finally {\n}\ntry {\n}\ncatch (e) {\n}",
+            output: "try {\n} catch (e) {\n} finally {\n}\ntry {\n} catch (e) {\n}",
+            options: ["consistent"],
+            errors: [{ message: closeMessage("'catch' clause"), type: "CatchClause", line: 7 }]
+        },
+        {
+            code: "if (a) {\n}\nelse {\n}\nif (b) {\n}\nelse {\n}\nif (c) {\n} else {\n}",
+            output: "if (a) {\n} else {\n}\nif (b) {\n} else {\n}\nif (c) {\n} else {\n}",
+            options: ["consistent", { noCuddledElse: false }],
+            errors: [
+                { message: closeMessage("'else' clause"), type: "BlockStatement", line: 3 },
+                { message: closeMessage("'else' clause"), type: "BlockStatement", line: 7 }
+            ]
+        },
+        {
+            code: "class Foo {\n    bar() {\n    }\n    baz()\n    {\n    }\n    qux() {\n    }\n}",
+            output: "class Foo {\n    bar() {\n    }\n    baz() {\n    }\n    qux() {\n    }\n}",
+            parserOptions: { ecmaVersion: 6 },
+            options: ["consistent"],
+            errors: [{ message: openMessage("method"), type: "MethodDefinition", line: 4 }]
+        },
+
+        // multilineHeader
+        {
+            code: "if (a &&\n    b) {\n}",
+            output: "if (a &&\n    b)\n{\n}",
+            options: ["1tbs", { multilineHeader: "never" }],
+            errors: [{ message: openMessageAllman("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "function foo() {\n    while (a &&\n        b) {\n    }\n}",
+            output: "function foo() {\n    while (a &&\n        b)\n    {\n    }\n}",
+            options: ["1tbs", { multilineHeader: "never" }],
+            errors: [{ message: openMessageAllman("'while' loop"), type: "WhileStatement" }]
+        },
+        {
+            code: "function foo(a,\n    b)\n{\n}",
+            output: "function foo(a,\n    b) {\n}",
+            options: ["allman", { multilineHeader: "always" }],
+            errors: [{ message: openMessage("function"), type: "FunctionDeclaration" }]
+        },
+        {
+            code: "function foo(a,\n    b)\n{\n}",
+            output: "function foo(a,\n    b) {\n}",
+            options: ["1tbs", { multilineHeader: { IfStatement: "never" } }],
+            errors: [{ message: openMessage("function"), type: "FunctionDeclaration" }]
+        },
+        {
+            code: "var foo = (a,\n    b) => {\n};",
+            output: "var foo = (a,\n    b) =>\n{\n};",
+            parserOptions: { ecmaVersion: 6 },
+            options: ["1tbs", { multilineHeader: "never" }],
+            errors: [{ message: openMessageAllman("arrow function"), type: "ArrowFunctionExpression" }]
+        },
+        {
+            code: "try {\n} catch (\n    e\n) {\n}",
+            output: "try {\n} catch (\n    e\n)\n{\n}",
+            options: ["1tbs", { multilineHeader: "never" }],
+            errors: [{ message: openMessageAllman("'catch' clause"), type: "CatchClause" }]
+        },
+        {
+            code: "switch (a ||\n    b) {\n}",
+            output: "switch (a ||\n    b)\n{\n}",
+            options: ["1tbs", { multilineHeader: "never" }],
+            errors: [{ message: openMessageAllman("'switch' statement"), type: "SwitchStatement" }]
+        },
+
+        // k&r
+        {
+            code: "function foo() {\n  if (a)\n  {\n    b();\n  }\n}",
+            output: "function foo()\n{\n  if (a) {\n    b();\n  }\n}",
+            options: ["kr"],
+            errors: [
+                { message: openMessageAllman("function"), type: "FunctionDeclaration" },
+                { message: openMessage("'if' statement"), type: "IfStatement" }
+            ]
+        },
+
+        // whitesmiths
+        {
+            code: "if (a)\n{\n    b();\n}",
+            output: "if (a)\n    {\n    b();\n    }",
+            options: ["whitesmiths"],
+            errors: [
+                { message: openIndentMessage("'if' statement"), type: "IfStatement", line: 2 },
+                { message: closeIndentMessage("'if' statement"), type: "IfStatement", line: 4 }
+            ]
+        },
+        {
+            code: "if (a) {\n}",
+            output: "if (a)\n    {\n    }",
+            options: ["whitesmiths"],
+            errors: [
+                { message: openMessageAllman("'if' statement"), type: "IfStatement", line: 1 },
+                { message: closeIndentMessage("'if' statement"), type: "IfStatement", line: 2 }
+            ]
+        },
+        {
+            code: "switch (a)\n{\n    case 1:\n        break;\n}",
+            output: "switch (a)\n    {\n    case 1:\n        break;\n    }",
+            options: ["whitesmiths"],
+            errors: [
+                { message: openIndentMessage("'switch' statement"), type: "SwitchStatement", line: 2 },
+                { message: closeIndentMessage("'switch' statement"), type: "SwitchStatement", line: 5 }
+            ]
+        },
+
+        // gnu
+        {
+            code: "function foo()\n  {\n  if (a)\n  {\n      b();\n  }\n  }",
+            output: "function foo()\n{\n  if (a)\n    {\n      b();\n    }\n}",
+            options: ["gnu"],
+            errors: [
+                { message: openIndentMessage("function"), type: "FunctionDeclaration", line: 2 },
+                { message: openIndentMessage("'if' statement"), type: "IfStatement", line: 4 },
+                { message: closeIndentMessage("'if' statement"), type: "IfStatement", line: 6 },
+                { message: closeIndentMessage("function"), type: "FunctionDeclaration", line: 7 }
+            ]
+        },
+
+        // the body moves with a brace which moves to the half indent
+        {
+            code: "function foo()\n{\n  if (a) {\n    b();\n  }\n}",
+            output: "function foo()\n{\n  if (a)\n    {\n      b();\n    }\n}",
+            options: ["gnu"],
+            errors: [
+                { message: openMessageAllman("'if' statement"), type: "IfStatement", line: 3 },
+                { message: closeIndentMessage("'if' statement"), type: "IfStatement", line: 5 }
+            ]
+        },
+        {
+            code: "function foo()\n{\n  if (a)\n  {\n    if (b)\n      {\n        c();\n      }\n  }\n}",
+            output: "function foo()\n{\n  if (a)\n    {\n      if (b)\n        {\n          c();\n        }\n    }\n}",
+            options: ["gnu"],
+            errors: [
+                { message: openIndentMessage("'if' statement"), type: "IfStatement", line: 4 },
+                { message: closeIndentMessage("'if' statement"), type: "IfStatement", line: 9 }
+            ]
+        },
+
+        // horstmann
+        {
+            code: "if (a)\n{\n    b();\n}",
+            output: "if (a)\n{   b();\n}",
+            options: ["horstmann"],
+            errors: [{ message: BODY_MESSAGE_HORSTMANN, type: "ExpressionStatement" }]
+        },
+        {
+            code: "if (a)\n  {   b();\n  }",
+            output: "if (a)\n{   b();\n}",
+            options: ["horstmann"],
+            errors: [
+                { message: openIndentMessage("'if' statement"), type: "IfStatement", line: 2 },
+                { message: closeIndentMessage("'if' statement"), type: "IfStatement", line: 3 }
+            ]
+        },
+
+        // ratliff
+        {
+            code: "if (a) {\n    b();\n}",
+            output: "if (a) {\n    b();\n    }",
+            options: ["ratliff"],
+            errors: [{ message: closeIndentMessage("'if' statement"), type: "IfStatement", line: 3 }]
+        },
+        {
+            code: "if (a) {\n    b();\n    } else {\n    c();\n    }",
+            output: "if (a) {\n    b();\n    }\nelse {\n    c();\n    }",
+            options: ["ratliff"],
+            errors: [{ message: closeMessageStroustrupAllman("'else' clause"), type: "BlockStatement" }]
+        },
+        {
+            code: "if (a) {\n    b(); }",
+            output: "if (a) {\n    b();\n    }",
+            options: ["ratliff"],
+            errors: [{ message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" }]
+        },
+
+        // comments
+        {
+            code: "if (a) // why\n{ b();\n}",
+            output: "if (a) // why\n{\n    b();\n}",
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement" }, { message: BODY_MESSAGE, type: "ExpressionStatement" }]
+        },
+        {
+            code: "if (a) // why\n/* because */\n{\n}",
+            output: "if (a) // why\n/* because */\n{\n}",
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) /* why */ // because\n{\n}",
+            output: "if (a) /* why */ // because\n{\n}",
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) {\n}\n/* note */\nelse {\n}",
+            output: "if (a) {\n} /* note */ else {\n}",
+            errors: [{ message: closeMessage("'else' clause"), type: "BlockStatement" }]
+        },
+        {
+            code: "if (a) {\n} // note\nelse {\n}",
+            output: "if (a) {\n} // note\nelse {\n}",
+            errors: [{ message: closeMessage("'else' clause"), type: "BlockStatement" }]
+        },
+        {
+            code: "if (a) {\n}\n/**\n * note\n */\nelse {\n}",
+            output: "if (a) {\n}\n/**\n * note\n */\nelse {\n}",
+            errors: [{ message: closeMessage("'else' clause"), type: "BlockStatement" }]
+        },
+        {
+            code: "try {\n}\n/* note */\ncatch (e) {\n}\n/** note */\nfinally {\n}",
+            output: "try {\n} /* note */ catch (e) {\n} /** note */ finally {\n}",
+            errors: [{ message: closeMessage("'catch' clause"), type: "CatchClause" }, { message: closeMessage("'finally' clause"), type: "BlockStatement" }]
+        },
+        {
+            code: "try {\n} // note\ncatch (e) {\n} // note\nfinally {\n}",
+            output: "try {\n} // note\ncatch (e) {\n} // note\nfinally {\n}",
+            errors: [{ message: closeMessage("'catch' clause"), type: "CatchClause" }, { message: closeMessage("'finally' clause"), type: "BlockStatement" }]
+        },
+        {
+            code: "if (a) /* why */ {\n}",
+            output: "if (a) /* why */\n{\n}",
+            options: ["allman"],
+            errors: [{ message: openMessageAllman("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) { // why\n}",
+            output: "if (a)\n{ // why\n}",
+            options: ["allman"],
+            errors: [{ message: openMessageAllman("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a)\n{ // why\n    b();\n}",
+            output: "if (a)\n{ // why\n    b();\n}",
+            options: ["horstmann"],
+            errors: [{ message: BODY_MESSAGE_HORSTMANN, type: "ExpressionStatement" }]
+        },
+        {
+            code: "if (a)\n{\n    /* why */ b();\n}",
+            output: "if (a)\n{   /* why */ b();\n}",
+            options: ["horstmann"],
+            errors: [{ message: BODY_MESSAGE_HORSTMANN, type: "ExpressionStatement" }]
+        },
+
+        // switch cases
+        {
+            code: "switch (a) {\n    case 1:\n    {\n        b();\n    }\n}",
+            output: "switch (a) {\n    case 1: {\n        b();\n    }\n}",
+            errors: [{ message: openMessage("'case' clause"), type: "SwitchCase", line: 2 }]
+        },
+        {
+            code: "switch (a)\n{\n    default: {\n        b();\n    }\n}",
+            output: "switch (a)\n{\n    default:\n    {\n        b();\n    }\n}",
+            options: ["allman"],
+            errors: [{ message: openMessageAllman("'default' clause"), type: "SwitchCase", line: 3 }]
+        },
+        {
+            code: "switch (a) {\n    case 1: { b();\n        break; }\n}",
+            output: "switch (a) {\n    case 1: {\n        b();\n        break;\n    }\n}",
+            errors: [
+                { message: BODY_MESSAGE, type: "ExpressionStatement", line: 2 },
+                { message: CLOSE_MESSAGE_SINGLE, type: "BreakStatement", line: 3 }
+            ]
+        },
+        {
+            code: "switch (a) { case 1:\n    b();\n}",
+            output: "switch (a) {\n    case 1:\n    b();\n}",
+            errors: [{ message: BODY_MESSAGE, type: "SwitchCase", line: 1 }]
+        },
+        {
+            code: "switch (a) {\n    case 1:\n        b(); }",
+            output: "switch (a) {\n    case 1:\n        b();\n}",
+            errors: [{ message: CLOSE_MESSAGE_SINGLE, type: "SwitchCase", line: 2 }]
+        },
+        {
+            code: "\tswitch (a)\n\t{   case 1:\n\t\tb();\n\t}",
+            output: "\tswitch (a)\n\t{\n\t\tcase 1:\n\t\tb();\n\t}",
+            options: ["allman"],
+            errors: [{ message: BODY_MESSAGE, type: "SwitchCase", line: 2 }]
+        },
+        {
+            code: "switch (a)\n{\n    case 1:\n        b();\n}",
+            output: "switch (a)\n{   case 1:\n        b();\n}",
+            options: ["horstmann"],
+            errors: [{ message: BODY_MESSAGE_HORSTMANN, type: "SwitchCase", line: 3 }]
+        },
+
+        // do-while
+        {
+            code: "do {\n    b();\n}\nwhile (a);",
+            output: "do {\n    b();\n} while (a);",
+            errors: [{ message: closeMessage("'while' condition"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "    do {\n        b();\n    } while (a);",
+            output: "    do {\n        b();\n    }\n    while (a);",
+            options: ["stroustrup"],
+            errors: [{ message: closeMessageStroustrupAllman("'while' condition"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "do\n{\n    b();\n} while (a);",
+            output: "do\n{\n    b();\n}\nwhile (a);",
+            options: ["allman"],
+            errors: [{ message: closeMessageStroustrupAllman("'while' condition"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "do {\n    b();\n} while (a);",
+            output: "do {\n    b();\n}\nwhile (a);",
+            options: ["1tbs", { noCuddledWhile: true }],
+            errors: [{ message: closeMessageStroustrupAllman("'while' condition"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "do {\n    b();\n}\nwhile (a);\ndo {\n    c();\n}\nwhile (a);\ndo {\n    d();\n} while (a);",
+            output: "do {\n    b();\n}\nwhile (a);\ndo {\n    c();\n}\nwhile (a);\ndo {\n    d();\n}\nwhile (a);",
+            options: ["consistent"],
+            errors: [{ message: closeMessageStroustrupAllman("'while' condition"), type: "DoWhileStatement", line: 9 }]
+        },
+
+        // maxLength
+        {
+            code: "function foo(aaaaaa, bbbbbb)\n{\n}",
+            output: "function foo(aaaaaa, bbbbbb) {\n}",
+            options: ["1tbs", { maxLength: 30 }],
+            errors: [{ message: openMessage("function"), type: "FunctionDeclaration" }]
+        },
+        {
+            code: "function foo(aaaaaa, bbbbbb)\n{\n}",
+            output: "function foo(aaaaaa, bbbbbb) {\n}",
+            options: ["1tbs", { maxLength: 30 }],
+            settings: { "brace-rules": { maxLength: 29 } },
+            errors: [{ message: openMessage("function"), type: "FunctionDeclaration" }]
+        },
+        {
+            code: "function foo(aaaaaa, bbbbbb) {\n    if (a)\n    {\n    }\n}",
+            output: "function foo(aaaaaa, bbbbbb) {\n    if (a) {\n    }\n}",
+            options: ["1tbs", { maxLength: 20 }],
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a)\n{\n}\nelse\n{\n}",
+            output: "if (a)\n{\n}\nelse {\n}",
+            options: ["stroustrup", { maxLength: 6 }],
+            errors: [
+                { message: openMessage("'else' clause"), type: "IfStatement", line: 1 },
+                { message: maxLengthMessage(6), type: "IfStatement", line: 2 }
+            ]
+        },
+        {
+            code: "function foo() {\n\tif (aaaaaa)\n\t{\n\t}\n}",
+            options: ["1tbs", { maxLength: 15 }],
+            errors: [{ message: maxLengthMessage(15), type: "IfStatement", line: 3 }]
+        },
+        {
+            code: "function foo() {\n\tif (aaaaaa)\n\t{\n\t}\n}",
+            output: "function foo() {\n\tif (aaaaaa) {\n\t}\n}",
+            options: ["1tbs", { maxLength: 15, tabWidth: 2 }],
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "function foo() {\n\tif (aaaaaa)\n\t{\n\t}\n}",
+            output: "function foo() {\n\tif (aaaaaa) {\n\t}\n}",
+            options: ["1tbs", { maxLength: 15 }],
+            settings: { "brace-rules": { tabWidth: 2 } },
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "function foo(aaaaaa, bbbbbb)\n{\n}",
+            options: ["1tbs", { maxLength: 29 }],
+            errors: [{ message: maxLengthMessage(29), type: "FunctionDeclaration", line: 2, column: 1 }]
+        },
+        {
+            code: "function foo(aaaaaa, bbbbbb)\n{\n}",
+            settings: { "brace-rules": { maxLength: 29 } },
+            errors: [{ message: maxLengthMessage(29), type: "FunctionDeclaration", line: 2 }]
+        },
+        {
+            code: "if (a) {\n    b();\n}\nelse {\n    c();\n}",
+            options: ["1tbs", { maxLength: 7 }],
+            errors: [{ message: maxLengthMessage(7), type: "BlockStatement", line: 4 }]
+        },
+        {
+            code: "function foo(aaaaaa, bbbbbb) {\n}",
+            options: ["1tbs", { maxLength: 30, requireSingleLineForEmpty: true }],
+            errors: [{ message: maxLengthMessage(30), type: "FunctionDeclaration", line: 1, column: 30 }]
+        },
+        {
+            code: "if (a) {\n} else if (b) {\n}\nelse {\n}",
+            options: ["1tbs", { maxLength: 7, consistentChains: true }],
+            errors: [{ message: maxLengthMessage(7), type: "IfStatement", line: 4 }]
+        },
+        {
+            code: "if (a) {\n} else\nif (b) {\n}",
+            options: ["1tbs", { maxLength: 7, requireElseIfOnOneLine: true }],
+            errors: [{ message: maxLengthMessage(7), type: "IfStatement", line: 2, column: 3 }]
+        },
+
+        // single-line policy
+        {
+            code: "try { a(); } catch (e) { b(); }",
+            output: "try {\n    a();\n} catch (e) {\n    b();\n}",
+            options: ["1tbs", { allowSingleLine: { IfStatement: true } }],
+            errors: [
+                { message: BODY_MESSAGE, type: "ExpressionStatement" },
+                { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" },
+                { message: BODY_MESSAGE, type: "ExpressionStatement" },
+                { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" }
+            ]
+        },
+        {
+            code: "if (a) { b(); c(); }",
+            output: "if (a) {\n    b(); c();\n}",
+            options: ["1tbs", { allowSingleLine: { maxStatements: 1 } }],
+            errors: [
+                { message: BODY_MESSAGE, type: "ExpressionStatement" },
+                { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" }
+            ]
+        },
+        {
+            code: "if (a) { bbbbbb(); }",
+            output: "if (a) {\n    bbbbbb();\n}",
+            options: ["1tbs", { allowSingleLine: { maxLength: 15 } }],
+            errors: [
+                { message: BODY_MESSAGE, type: "ExpressionStatement" },
+                { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" }
+            ]
+        },
+
+        // a tab counts up to the next tab stop in the length of the line
+        {
+            code: "function foo() {\n\tif (a) { b(); }\n}",
+            output: "function foo() {\n\tif (a) {\n\t\tb();\n\t}\n}",
+            options: ["1tbs", { allowSingleLine: { maxLength: 18 } }],
+            errors: [
+                { message: BODY_MESSAGE, type: "ExpressionStatement" },
+                { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" }
+            ]
+        },
+        {
+            code: "function foo() {\n}",
+            output: "function foo() {}",
+            options: ["1tbs", { requireSingleLineForEmpty: true }],
+            errors: [{ message: format("emptyOnMultipleLines", "function"), type: "FunctionDeclaration" }]
+        },
+        {
+            code: "if (a)\n{\n}\nelse\n{\n\n}",
+            output: "if (a)\n{}\nelse\n{}",
+            options: ["allman", { requireSingleLineForEmpty: true }],
+            errors: [
+                { message: format("emptyOnMultipleLines", "'if' statement"), type: "IfStatement", line: 2 },
+                { message: format("emptyOnMultipleLines", "'else' clause"), type: "IfStatement", line: 5 }
+            ]
+        },
+        {
+            code: "switch (a) {\n}",
+            output: "switch (a) {}",
+            options: ["1tbs", { requireSingleLineForEmpty: true }],
+            errors: [{ message: format("emptyOnMultipleLines", "'switch' statement"), type: "SwitchStatement" }]
+        },
+
+        // if chains
+        {
+            code: "if (a) {\n    b();\n} else if (c)\n    d();\nelse e();",
+            output: "if (a) {\n    b();\n} else if (c) {\n    d();\n}\nelse {\n    e();\n}",
+            options: ["1tbs", { consistentChains: true }],
+            errors: [{ message: messages.inconsistentChainBraces, type: "IfStatement", line: 1 }]
+        },
+        {
+            code: "if (a)\n{\n    b();\n}\nelse c();",
+            output: "if (a)\n{\n    b();\n}\nelse\n{\n    c();\n}",
+            options: ["allman", { consistentChains: true }],
+            errors: [{ message: messages.inconsistentChainBraces, type: "IfStatement" }]
+        },
+        {
+            code: "if (a) b(\n  1\n); else { c(); }",
+            output: "if (a) {\n  b(\n    1\n  );\n} else { c(); }",
+            options: ["1tbs", { consistentChains: true, allowSingleLine: true }],
+            errors: [{ message: messages.inconsistentChainBraces, type: "IfStatement" }]
+        },
+        {
+            code: "function foo() {\n    if (a)\n        b(\n            1\n        );\n    else {\n        c();\n    }\n}",
+            output: "function foo() {\n    if (a) {\n        b(\n            1\n        );\n    }\n    else {\n        c();\n    }\n}",
+            options: ["1tbs", { consistentChains: true }],
+            errors: [{ message: messages.inconsistentChainBraces, type: "IfStatement", line: 2 }]
+        },
+        {
+            code: "if (a) {\n} else if (b) {\n}\nelse if (c) {\n}\nelse {\n}",
+            output: "if (a) {\n} else if (b) {\n} else if (c) {\n} else {\n}",
+            options: ["1tbs", { consistentChains: true }],
+            errors: [{ message: messages.inconsistentChainElse.replace("{{placement}}", "share the line of the branch before it"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) {\n}\nelse if (b) {\n} else {\n}",
+            output: "if (a) {\n}\nelse if (b) {\n}\nelse {\n}",
+            options: [{ FunctionDeclaration: "always" }, { consistentChains: true }],
+            errors: [{ message: messages.inconsistentChainElse.replace("{{placement}}", "start a new line"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) {\n} else\nif (b) {\n} else\n    if (c) {\n}",
+            output: "if (a) {\n} else if (b) {\n} else if (c) {\n}",
+            options: ["1tbs", { requireElseIfOnOneLine: true }],
+            errors: [{ message: messages.splitElseIf, type: "IfStatement", line: 1 }]
+        },
+        {
+            code: "if (a) {\n} else // b\nif (b) {\n}",
+            output: "if (a) {\n} else // b\nif (b) {\n}",
+            options: ["1tbs", { requireElseIfOnOneLine: true }],
+            errors: [{ message: messages.splitElseIf, type: "IfStatement" }]
+        },
+
+        // contexts
+        {
+            code: "arr.map(function(x)\n{\n    return x;\n});",
+            output: "arr.map(function(x) {\n    return x;\n});",
+            options: ["allman", { callbacks: "always" }],
+            errors: [{ message: openMessage("function"), type: "FunctionExpression" }]
+        },
+        {
+            code: "(function()\n{\n})();",
+            output: "(function() {\n})();",
+            options: ["allman", { iife: "always" }],
+            errors: [{ message: openMessage("function"), type: "FunctionExpression" }]
+        },
+        {
+            code: "var foo = {\n    bar() {\n    }\n};",
+            output: "var foo = {\n    bar()\n    {\n    }\n};",
+            parserOptions: { ecmaVersion: 6 },
+            options: ["1tbs", { objectMethods: "never" }],
+            errors: [{ message: openMessageAllman("function"), type: "FunctionExpression" }]
+        },
+        {
+            code: "function foo()\n{\n    function bar()\n    {\n    }\n}",
+            output: "function foo()\n{\n    function bar() {\n    }\n}",
+            options: ["allman", { nested: "always" }],
+            errors: [{ message: openMessage("function"), type: "FunctionDeclaration", line: 3 }]
+        },
+        {
+            code: "function foo()\n{\n    foo(function() {\n    });\n}",
+            output: "function foo()\n{\n    foo(function()\n    {\n    });\n}",
+            options: [{ FunctionDeclaration: "never" }, { callbacks: "never" }],
+            errors: [{ message: openMessageAllman("function"), type: "FunctionExpression" }]
+        },
+
+        // blocks and labels
+        {
+            code: "{ a(); }",
+            output: "{\n    a();\n}",
+            errors: [{ message: BODY_MESSAGE, type: "ExpressionStatement" }, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement" }]
+        },
+        {
+            code: "function foo() {\n    { a();\n    b(); }\n}",
+            output: "function foo() {\n    {\n        a();\n    b();\n    }\n}",
+            errors: [{ message: BODY_MESSAGE, type: "ExpressionStatement", line: 2 }, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement", line: 3 }]
+        },
+        {
+            code: "switch (a) {\n    case 1:\n        b();\n        { c(); }\n}",
+            output: "switch (a) {\n    case 1:\n        b();\n        {\n            c();\n        }\n}",
+            errors: [{ message: BODY_MESSAGE, type: "ExpressionStatement", line: 4 }, { message: CLOSE_MESSAGE_SINGLE, type: "ExpressionStatement", line: 4 }]
+        },
+        {
+            code: "{\n}",
+            output: "{}",
+            options: ["1tbs", { requireSingleLineForEmpty: true }],
+            errors: [{ message: format("emptyOnMultipleLines", "block"), type: "BlockStatement" }]
+        },
+        {
+            code: "outer:\n{\n    break outer;\n}",
+            output: "outer: {\n    break outer;\n}",
+            errors: [{ message: openMessage("labeled block"), type: "LabeledStatement" }]
+        },
+        {
+            code: "function foo() {\n    outer: {\n        break outer;\n    }\n}",
+            output: "function foo() {\n    outer:\n    {\n        break outer;\n    }\n}",
+            options: [{ FunctionDeclaration: "always", LabeledStatement: "never" }],
+            errors: [{ message: openMessageAllman("labeled block"), type: "LabeledStatement", line: 2 }]
+        },
+        {
+            code: "outer: for (;;)\n{\n    break outer;\n}",
+            output: "outer: for (;;) {\n    break outer;\n}",
+            errors: [{ message: openMessage("'for' loop"), type: "ForStatement" }]
+        },
+        {
+            code: "function foo() {\n    outer:\n    for (;;) {\n        break outer;\n    }\n}",
+            output: "function foo() {\n    outer:\n    for (;;)\n    {\n        break outer;\n    }\n}",
+            options: [{ ForStatement: "never" }],
+            errors: [{ message: openMessageAllman("'for' loop"), type: "ForStatement", line: 3 }]
+        },
+        {
+            code: "a: {\n}\nb:\n{\n}\nc:\n{\n}",
+            output: "a:\n{\n}\nb:\n{\n}\nc:\n{\n}",
+            options: ["consistent"],
+            errors: [{ message: openMessageAllman("labeled block"), type: "LabeledStatement", line: 1 }]
+        },
+
+        // audit
+        {
+            code: "function foo()\n{\n    if (a) {\n        b();\n    } else {\n        c();\n    }\n}",
+            options: ["audit"],
+            errors: [
+                { message: auditFixesMessage("1tbs=1, allman=3, stroustrup=2, kr=0, whitesmiths=7, gnu=5, horstmann=6, ratliff=5"), type: "Program", line: 1, column: 1 },
+                { message: auditMessage("auditNextLine", "FunctionDeclaration"), type: "FunctionDeclaration", line: 2 },
+                { message: auditMessage("auditSameLine", "IfStatement"), type: "IfStatement", line: 3 },
+                { message: auditMessage("auditCuddled", "IfStatement", "else"), type: "IfStatement", line: 5, column: 7 },
+                { message: auditMessage("auditSameLine", "IfStatement"), type: "IfStatement", line: 5, column: 12 }
+            ]
+        },
+        {
+            code: "try { a(); }\ncatch (e) {\n}",
+            options: ["audit"],
+            errors: [
+                { message: auditFixesMessage("1tbs=3, allman=4, stroustrup=2, kr=3, whitesmiths=5, gnu=5, horstmann=3, ratliff=3"), type: "Program" },
+                { message: auditMessage("auditSingleLine", "TryStatement"), type: "TryStatement", line: 1 },
+                { message: auditMessage("auditNotCuddled", "TryStatement", "catch"), type: "TryStatement", line: 2, column: 1 },
+                { message: auditMessage("auditSameLine", "TryStatement"), type: "TryStatement", line: 2, column: 11 }
+            ]
+        },
+        {
+            code: "try { a(); }\ncatch (e) {\n}",
+            options: ["audit", { allowSingleLine: true }],
+            errors: [
+                { message: auditFixesMessage("1tbs=1, allman=1, stroustrup=0, kr=1, whitesmiths=2, gnu=2, horstmann=1, ratliff=1"), type: "Program" },
+                { message: auditMessage("auditSingleLine", "TryStatement"), type: "TryStatement" },
+                { message: auditMessage("auditNotCuddled", "TryStatement", "catch"), type: "TryStatement" },
+                { message: auditMessage("auditSameLine", "TryStatement"), type: "TryStatement" }
+            ]
+        },
+        {
+            code: "do {\n    a();\n}\nwhile (b);\nswitch (a)\n{\n}",
+            options: ["audit"],
+            errors: [
+                { message: auditFixesMessage("1tbs=2, allman=1, stroustrup=1, kr=2, whitesmiths=4, gnu=4, horstmann=2, ratliff=3"), type: "Program" },
+                { message: auditMessage("auditSameLine", "DoWhileStatement"), type: "DoWhileStatement", line: 1 },
+                { message: auditMessage("auditNotCuddled", "DoWhileStatement", "while"), type: "DoWhileStatement", line: 4 },
+                { message: auditMessage("auditNextLine", "SwitchStatement"), type: "SwitchStatement", line: 6 }
+            ]
+        },
+        {
+            code: "function foo()\n{\n    return;\n}\nif (a) {\n    b();\n}",
+            options: ["audit", { maxLength: 14 }],
+            errors: [
+                { message: auditFixesMessage("1tbs=0, allman=1, stroustrup=0, kr=0, whitesmiths=4, gnu=2, horstmann=2, ratliff=2"), type: "Program" },
+                { message: auditMessage("auditNextLine", "FunctionDeclaration"), type: "FunctionDeclaration", line: 2 },
+                { message: auditMessage("auditSameLine", "IfStatement"), type: "IfStatement", line: 5 }
+            ]
+        },
+
+        // typescript
+        {
+            code: "interface Foo\n{\n    a: string;\n}",
+            output: "interface Foo {\n    a: string;\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("interface"), type: "TSInterfaceBody" }]
+        },
+        {
+            code: "interface Foo extends Bar {\n    a: string;\n}",
+            output: "interface Foo extends Bar\n{\n    a: string;\n}",
+            parser: typescriptParser,
+            options: ["allman"],
+            errors: [{ message: openMessageAllman("interface"), type: "TSInterfaceBody" }]
+        },
+        {
+            code: "interface Foo { a: string;\n    b: number; }",
+            output: "interface Foo {\n    a: string;\n    b: number;\n}",
+            parser: typescriptParser,
+            errors: [
+                { message: BODY_MESSAGE, type: "TSPropertySignature" },
+                { message: CLOSE_MESSAGE_SINGLE, type: "TSPropertySignature" }
+            ]
+        },
+        {
+            code: "interface Foo\n{\n    a: string;\n}",
+            output: "interface Foo\n    {\n    a: string;\n    }",
+            parser: typescriptParser,
+            options: ["whitesmiths"],
+            errors: [
+                { message: openIndentMessage("interface"), type: "TSInterfaceBody" },
+                { message: closeIndentMessage("interface"), type: "TSInterfaceBody" }
+            ]
+        },
+        {
+            code: "interface Foo extends Bar,\n    Baz {\n}",
+            output: "interface Foo extends Bar,\n    Baz\n{\n}",
+            parser: typescriptParser,
+            options: ["1tbs", { multilineHeader: "never" }],
+            errors: [{ message: openMessageAllman("interface"), type: "TSInterfaceBody" }]
+        },
+        {
+            code: "enum Foo\n{\n    A\n}",
+            output: "enum Foo {\n    A\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("enum"), type: "TSEnumDeclaration" }]
+        },
+        {
+            code: "  export const enum Foo {\n    A\n  }",
+            output: "  export const enum Foo\n  {\n    A\n  }",
+            parser: typescriptParser,
+            options: ["allman"],
+            errors: [{ message: openMessageAllman("enum"), type: "TSEnumDeclaration" }]
+        },
+        {
+            code: "enum Foo {\n    A,\n    B }",
+            output: "enum Foo {\n    A,\n    B\n}",
+            parser: typescriptParser,
+            errors: [{ message: CLOSE_MESSAGE_SINGLE, type: "TSEnumMember" }]
+        },
+        {
+            code: "namespace Foo\n{\n    var a;\n}",
+            output: "namespace Foo {\n    var a;\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("namespace"), type: "TSModuleBlock" }]
+        },
+        {
+            code: "namespace Foo.Bar {\n    var a;\n}",
+            output: "namespace Foo.Bar\n{\n    var a;\n}",
+            parser: typescriptParser,
+            options: ["allman"],
+            errors: [{ message: openMessageAllman("namespace"), type: "TSModuleBlock" }]
+        },
+        {
+            code: "declare module \"foo\"\n{\n}",
+            output: "declare module \"foo\" {\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("module"), type: "TSModuleBlock" }]
+        },
+        {
+            code: "declare global\n{\n    interface Window\n    {\n    }\n}",
+            output: "declare global {\n    interface Window {\n    }\n}",
+            parser: typescriptParser,
+            errors: [
+                { message: openMessage("'declare global' block"), type: "TSModuleBlock" },
+                { message: openMessage("interface"), type: "TSInterfaceBody", line: 4 }
+            ]
+        },
+        {
+            code: "type Foo =\n{\n    a: string;\n};",
+            output: "type Foo = {\n    a: string;\n};",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("type literal"), type: "TSTypeLiteral" }]
+        },
+        {
+            code: "    type Foo = {\n        a: {\n            b: string;\n        };\n    };",
+            output: "    type Foo =\n    {\n        a:\n        {\n            b: string;\n        };\n    };",
+            parser: typescriptParser,
+            options: ["allman"],
+            errors: [
+                { message: openMessageAllman("type literal"), type: "TSTypeLiteral", line: 1 },
+                { message: openMessageAllman("type literal"), type: "TSTypeLiteral", line: 2 }
+            ]
+        },
+        {
+            code: "interface Foo\n{\n}\ninterface Bar\n{\n}\ninterface Baz {\n}",
+            output: "interface Foo\n{\n}\ninterface Bar\n{\n}\ninterface Baz\n{\n}",
+            parser: typescriptParser,
+            options: ["consistent"],
+            errors: [{ message: openMessageAllman("interface"), type: "TSInterfaceBody", line: 7 }]
+        },
+
+        // comments which would have to move past the brace are left to a
+        // suggestion, so there is no fix
+        {
+            code: "function foo() // why\n{\n}",
+            output: "function foo() // why\n{\n}",
+            errors: [{ message: openMessage("function"), type: "FunctionDeclaration" }]
+        },
+        {
+            code: "function foo()\n/* why */\n{\n}",
+            output: "function foo() /* why */ {\n}",
+            errors: [{ message: openMessage("function"), type: "FunctionDeclaration" }]
+        },
+        {
+            code: "function foo()\n/**\n * why\n */\n{\n}",
+            output: "function foo()\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("function"), type: "FunctionDeclaration" }]
+        },
+        {
+            code: "var foo = function() // why\n{\n};",
+            output: "var foo = function() // why\n{\n};",
+            errors: [{ message: openMessage("function"), type: "FunctionExpression" }]
+        },
+        {
+            code: "var foo = function()\n/* why */\n{\n};",
+            output: "var foo = function() /* why */ {\n};",
+            errors: [{ message: openMessage("function"), type: "FunctionExpression" }]
+        },
+        {
+            code: "var foo = function()\n/**\n * why\n */\n{\n};",
+            output: "var foo = function()\n/**\n * why\n */\n{\n};",
+            errors: [{ message: openMessage("function"), type: "FunctionExpression" }]
+        },
+        {
+            code: "var foo = () => // why\n{\n};",
+            output: "var foo = () => // why\n{\n};",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("arrow function"), type: "ArrowFunctionExpression" }]
+        },
+        {
+            code: "var foo = () =>\n/* why */\n{\n};",
+            output: "var foo = () => /* why */ {\n};",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("arrow function"), type: "ArrowFunctionExpression" }]
+        },
+        {
+            code: "var foo = () =>\n/**\n * why\n */\n{\n};",
+            output: "var foo = () =>\n/**\n * why\n */\n{\n};",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("arrow function"), type: "ArrowFunctionExpression" }]
+        },
+        {
+            code: "class Foo // why\n{\n}",
+            output: "class Foo // why\n{\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("class"), type: "ClassDeclaration" }]
+        },
+        {
+            code: "class Foo\n/* why */\n{\n}",
+            output: "class Foo /* why */ {\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("class"), type: "ClassDeclaration" }]
+        },
+        {
+            code: "class Foo\n/**\n * why\n */\n{\n}",
+            output: "class Foo\n/**\n * why\n */\n{\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("class"), type: "ClassDeclaration" }]
+        },
+        {
+            code: "var Foo = class // why\n{\n};",
+            output: "var Foo = class // why\n{\n};",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("class"), type: "ClassExpression" }]
+        },
+        {
+            code: "var Foo = class\n/* why */\n{\n};",
+            output: "var Foo = class /* why */ {\n};",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("class"), type: "ClassExpression" }]
+        },
+        {
+            code: "var Foo = class\n/**\n * why\n */\n{\n};",
+            output: "var Foo = class\n/**\n * why\n */\n{\n};",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("class"), type: "ClassExpression" }]
+        },
+        {
+            code: "class Foo {\n    bar() // why\n{\n    }\n}",
+            output: "class Foo {\n    bar() // why\n{\n    }\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("method"), type: "MethodDefinition" }]
+        },
+        {
+            code: "class Foo {\n    bar()\n/* why */\n{\n    }\n}",
+            output: "class Foo {\n    bar() /* why */ {\n    }\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("method"), type: "MethodDefinition" }]
+        },
+        {
+            code: "class Foo {\n    bar()\n/**\n * why\n */\n{\n    }\n}",
+            output: "class Foo {\n    bar()\n/**\n * why\n */\n{\n    }\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("method"), type: "MethodDefinition" }]
+        },
+        {
+            code: "class Foo {\n    static // why\n{\n    }\n}",
+            output: "class Foo {\n    static // why\n{\n    }\n}",
+            parser: modernParser,
+            parserOptions: { ecmaVersion: 2022 },
+            errors: [{ message: openMessage("static block"), type: "StaticBlock" }]
+        },
+        {
+            code: "class Foo {\n    static\n/* why */\n{\n    }\n}",
+            output: "class Foo {\n    static /* why */ {\n    }\n}",
+            parser: modernParser,
+            parserOptions: { ecmaVersion: 2022 },
+            errors: [{ message: openMessage("static block"), type: "StaticBlock" }]
+        },
+        {
+            code: "class Foo {\n    static\n/**\n * why\n */\n{\n    }\n}",
+            output: "class Foo {\n    static\n/**\n * why\n */\n{\n    }\n}",
+            parser: modernParser,
+            parserOptions: { ecmaVersion: 2022 },
+            errors: [{ message: openMessage("static block"), type: "StaticBlock" }]
+        },
+        {
+            code: "if (a) // why\n{\n}",
+            output: "if (a) // why\n{\n}",
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a)\n/* why */\n{\n}",
+            output: "if (a) /* why */ {\n}",
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a)\n/**\n * why\n */\n{\n}",
+            output: "if (a)\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) {\n} else // why\n{\n}",
+            output: "if (a) {\n} else // why\n{\n}",
+            errors: [{ message: openMessage("'else' clause"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) {\n} else\n/* why */\n{\n}",
+            output: "if (a) {\n} else /* why */ {\n}",
+            errors: [{ message: openMessage("'else' clause"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) {\n} else\n/**\n * why\n */\n{\n}",
+            output: "if (a) {\n} else\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("'else' clause"), type: "IfStatement" }]
+        },
+        {
+            code: "try // why\n{\n} catch (e) {\n}",
+            output: "try // why\n{\n} catch (e) {\n}",
+            errors: [{ message: openMessage("'try' statement"), type: "TryStatement" }]
+        },
+        {
+            code: "try\n/* why */\n{\n} catch (e) {\n}",
+            output: "try /* why */ {\n} catch (e) {\n}",
+            errors: [{ message: openMessage("'try' statement"), type: "TryStatement" }]
+        },
+        {
+            code: "try\n/**\n * why\n */\n{\n} catch (e) {\n}",
+            output: "try\n/**\n * why\n */\n{\n} catch (e) {\n}",
+            errors: [{ message: openMessage("'try' statement"), type: "TryStatement" }]
+        },
+        {
+            code: "try {\n} catch (e) // why\n{\n}",
+            output: "try {\n} catch (e) // why\n{\n}",
+            errors: [{ message: openMessage("'catch' clause"), type: "CatchClause" }]
+        },
+        {
+            code: "try {\n} catch (e)\n/* why */\n{\n}",
+            output: "try {\n} catch (e) /* why */ {\n}",
+            errors: [{ message: openMessage("'catch' clause"), type: "CatchClause" }]
+        },
+        {
+            code: "try {\n} catch (e)\n/**\n * why\n */\n{\n}",
+            output: "try {\n} catch (e)\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("'catch' clause"), type: "CatchClause" }]
+        },
+        {
+            code: "try {\n} finally // why\n{\n}",
+            output: "try {\n} finally // why\n{\n}",
+            errors: [{ message: openMessage("'finally' clause"), type: "TryStatement" }]
+        },
+        {
+            code: "try {\n} finally\n/* why */\n{\n}",
+            output: "try {\n} finally /* why */ {\n}",
+            errors: [{ message: openMessage("'finally' clause"), type: "TryStatement" }]
+        },
+        {
+            code: "try {\n} finally\n/**\n * why\n */\n{\n}",
+            output: "try {\n} finally\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("'finally' clause"), type: "TryStatement" }]
+        },
+        {
+            code: "do // why\n{\n} while (a);",
+            output: "do // why\n{\n} while (a);",
+            errors: [{ message: openMessage("'do-while' loop"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "do\n/* why */\n{\n} while (a);",
+            output: "do /* why */ {\n} while (a);",
+            errors: [{ message: openMessage("'do-while' loop"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "do\n/**\n * why\n */\n{\n} while (a);",
+            output: "do\n/**\n * why\n */\n{\n} while (a);",
+            errors: [{ message: openMessage("'do-while' loop"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "while (a) // why\n{\n}",
+            output: "while (a) // why\n{\n}",
+            errors: [{ message: openMessage("'while' loop"), type: "WhileStatement" }]
+        },
+        {
+            code: "while (a)\n/* why */\n{\n}",
+            output: "while (a) /* why */ {\n}",
+            errors: [{ message: openMessage("'while' loop"), type: "WhileStatement" }]
+        },
+        {
+            code: "while (a)\n/**\n * why\n */\n{\n}",
+            output: "while (a)\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("'while' loop"), type: "WhileStatement" }]
+        },
+        {
+            code: "with (a) // why\n{\n}",
+            output: "with (a) // why\n{\n}",
+            errors: [{ message: openMessage("'with' statement"), type: "WithStatement" }]
+        },
+        {
+            code: "with (a)\n/* why */\n{\n}",
+            output: "with (a) /* why */ {\n}",
+            errors: [{ message: openMessage("'with' statement"), type: "WithStatement" }]
+        },
+        {
+            code: "with (a)\n/**\n * why\n */\n{\n}",
+            output: "with (a)\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("'with' statement"), type: "WithStatement" }]
+        },
+        {
+            code: "for (;;) // why\n{\n}",
+            output: "for (;;) // why\n{\n}",
+            errors: [{ message: openMessage("'for' loop"), type: "ForStatement" }]
+        },
+        {
+            code: "for (;;)\n/* why */\n{\n}",
+            output: "for (;;) /* why */ {\n}",
+            errors: [{ message: openMessage("'for' loop"), type: "ForStatement" }]
+        },
+        {
+            code: "for (;;)\n/**\n * why\n */\n{\n}",
+            output: "for (;;)\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("'for' loop"), type: "ForStatement" }]
+        },
+        {
+            code: "for (a in b) // why\n{\n}",
+            output: "for (a in b) // why\n{\n}",
+            errors: [{ message: openMessage("'for-in' loop"), type: "ForInStatement" }]
+        },
+        {
+            code: "for (a in b)\n/* why */\n{\n}",
+            output: "for (a in b) /* why */ {\n}",
+            errors: [{ message: openMessage("'for-in' loop"), type: "ForInStatement" }]
+        },
+        {
+            code: "for (a in b)\n/**\n * why\n */\n{\n}",
+            output: "for (a in b)\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("'for-in' loop"), type: "ForInStatement" }]
+        },
+        {
+            code: "for (a of b) // why\n{\n}",
+            output: "for (a of b) // why\n{\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("'for-of' loop"), type: "ForOfStatement" }]
+        },
+        {
+            code: "for (a of b)\n/* why */\n{\n}",
+            output: "for (a of b) /* why */ {\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("'for-of' loop"), type: "ForOfStatement" }]
+        },
+        {
+            code: "for (a of b)\n/**\n * why\n */\n{\n}",
+            output: "for (a of b)\n/**\n * why\n */\n{\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("'for-of' loop"), type: "ForOfStatement" }]
+        },
+        {
+            code: "switch (a) // why\n{\n}",
+            output: "switch (a) // why\n{\n}",
+            errors: [{ message: openMessage("'switch' statement"), type: "SwitchStatement" }]
+        },
+        {
+            code: "switch (a)\n/* why */\n{\n}",
+            output: "switch (a) /* why */ {\n}",
+            errors: [{ message: openMessage("'switch' statement"), type: "SwitchStatement" }]
+        },
+        {
+            code: "switch (a)\n/**\n * why\n */\n{\n}",
+            output: "switch (a)\n/**\n * why\n */\n{\n}",
+            errors: [{ message: openMessage("'switch' statement"), type: "SwitchStatement" }]
+        },
+        {
+            code: "interface Foo // why\n{\n}",
+            output: "interface Foo // why\n{\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("interface"), type: "TSInterfaceBody" }]
+        },
+        {
+            code: "interface Foo\n/* why */\n{\n}",
+            output: "interface Foo /* why */ {\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("interface"), type: "TSInterfaceBody" }]
+        },
+        {
+            code: "interface Foo\n/**\n * why\n */\n{\n}",
+            output: "interface Foo\n/**\n * why\n */\n{\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("interface"), type: "TSInterfaceBody" }]
+        },
+        {
+            code: "enum Foo // why\n{\n}",
+            output: "enum Foo // why\n{\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("enum"), type: "TSEnumDeclaration" }]
+        },
+        {
+            code: "enum Foo\n/* why */\n{\n}",
+            output: "enum Foo /* why */ {\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("enum"), type: "TSEnumDeclaration" }]
+        },
+        {
+            code: "enum Foo\n/**\n * why\n */\n{\n}",
+            output: "enum Foo\n/**\n * why\n */\n{\n}",
+            parser: typescriptParser,
+            errors: [{ message: openMessage("enum"), type: "TSEnumDeclaration" }]
+        }
     ]
 });
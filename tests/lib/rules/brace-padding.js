@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Rule to control the blank lines after the opening brace and
+ * before the closing brace of blocks.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require("../../../lib/rules/brace-padding"),
+    RuleTester = require("eslint").RuleTester;
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var messages = rule.meta.messages;
+
+function format(messageId, construct) {
+    return messages[messageId].replace("{{construct}}", construct);
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+var ruleTester = new RuleTester();
+
+// the pinned espree cannot parse class static blocks
+var modernParser = require.resolve("espree");
+
+var typescriptParser = require.resolve("@typescript-eslint/parser");
+
+ruleTester.run("brace-padding", rule, {
+    valid: [
+        "function foo() {\n    bar();\n}",
+        "if (a) {\n    b();\n} else {\n    c();\n}",
+        "if (a) { b(); }",
+        "if (a) {\n}",
+        "if (a) {\n\n}",
+        "if (a) { // comment\n    b();\n}",
+        "if (a) {\n    // comment\n    b();\n    /* comment */\n}",
+        "try {\n    a();\n} catch (e) {\n    b();\n} finally {\n    c();\n}",
+        "switch (a) {\n    case 1: {\n        b();\n    }\n}",
+        { code: "class Foo {\n    bar() {\n        baz();\n    }\n}", parserOptions: { ecmaVersion: 6 } },
+        { code: "class Foo {\n    static {\n        a();\n    }\n}", parser: modernParser, parserOptions: { ecmaVersion: 2022 } },
+
+        // always
+        { code: "function foo() {\n\n    bar();\n\n}", options: ["always"] },
+        { code: "if (a)\n{\n\n    b();\n\n}", options: ["always"] },
+        { code: "if (a) { b(); }", options: ["always"] },
+        { code: "if (a)\n{   b();\n    c();\n\n}", options: ["always"] },
+
+        // block types
+        { code: "class Foo {\n\n    bar() {\n        baz();\n    }\n\n}", options: [{ ClassDeclaration: "always", MethodDefinition: "never" }], parserOptions: { ecmaVersion: 6 } },
+        { code: "function foo() {\n\n    bar();\n}", options: [{ IfStatement: "never" }] },
+        { code: "function foo() {\n\n    bar();\n}", options: [{ FunctionDeclaration: "ignore" }] },
+        { code: "try {\n\n    a();\n\n} catch (e) {\n\n    b();\n\n}", options: [{ TryStatement: "always" }] },
+
+        // multi-line headers
+        { code: "if (a &&\n    b) {\n\n    c();\n}", options: ["never", { multilineHeader: "always" }] },
+        { code: "if (a &&\n    b)\n{\n    c();\n}", options: ["never", { multilineHeader: "always" }] },
+        { code: "if (a &&\n    b) {\n    c();\n\n}", options: ["always", { multilineHeader: { IfStatement: "never" } }] },
+        { code: "if (a) {\n    b();\n}", options: ["never", { multilineHeader: "always" }] },
+        { code: "function foo(a,\n    b) {\n    c();\n}", options: ["never", { multilineHeader: { IfStatement: "always", FunctionDeclaration: "same" } }] },
+
+        // typescript
+        { code: "interface Foo {\n    a: string;\n}\nenum Bar {\n    A\n}", parser: typescriptParser },
+        { code: "declare namespace Foo {\n\n    var a: string;\n\n}", options: [{ TSModuleBlock: "always" }], parser: typescriptParser }
+    ],
+
+    invalid: [
+        {
+            code: "function foo() {\n\n    bar();\n\n}",
+            output: "function foo() {\n    bar();\n}",
+            errors: [
+                { message: format("unexpectedAfterOpening", "function"), type: "FunctionDeclaration", line: 1, column: 16 },
+                { message: format("unexpectedBeforeClosing", "function"), type: "FunctionDeclaration", line: 5, column: 1 }
+            ]
+        },
+        {
+            code: "if (a) {\n    b();\n\n\n}",
+            output: "if (a) {\n    b();\n}",
+            errors: [{ message: format("unexpectedBeforeClosing", "'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) {\n    \n    b();\n}",
+            output: "if (a) {\n    b();\n}",
+            errors: [{ message: format("unexpectedAfterOpening", "'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) {\n\n    // comment\n    b();\n}",
+            output: "if (a) {\n    // comment\n    b();\n}",
+            errors: [{ message: format("unexpectedAfterOpening", "'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "try {\n    a();\n} catch (e) {\n\n    b();\n}",
+            output: "try {\n    a();\n} catch (e) {\n    b();\n}",
+            errors: [{ message: format("unexpectedAfterOpening", "'catch' clause"), type: "CatchClause" }]
+        },
+        {
+            code: "switch (a) {\n\n    case 1:\n        b();\n}",
+            output: "switch (a) {\n    case 1:\n        b();\n}",
+            errors: [{ message: format("unexpectedAfterOpening", "'switch' statement"), type: "SwitchStatement" }]
+        },
+        {
+            code: "class Foo {\n    static {\n\n        a();\n    }\n}",
+            output: "class Foo {\n    static {\n        a();\n    }\n}",
+            parser: modernParser,
+            parserOptions: { ecmaVersion: 2022 },
+            errors: [{ message: format("unexpectedAfterOpening", "static block"), type: "StaticBlock" }]
+        },
+
+        // always
+        {
+            code: "function foo() {\n    bar();\n}",
+            output: "function foo() {\n\n    bar();\n\n}",
+            options: ["always"],
+            errors: [
+                { message: format("missingAfterOpening", "function"), type: "FunctionDeclaration", line: 1 },
+                { message: format("missingBeforeClosing", "function"), type: "FunctionDeclaration", line: 3 }
+            ]
+        },
+        {
+            code: "if (a) {\n\n    b(); // comment\n}",
+            output: "if (a) {\n\n    b(); // comment\n\n}",
+            options: ["always"],
+            errors: [{ message: format("missingBeforeClosing", "'if' statement"), type: "IfStatement" }]
+        },
+
+        // block types
+        {
+            code: "class Foo {\n    bar() {\n\n        baz();\n\n    }\n}",
+            output: "class Foo {\n\n    bar() {\n        baz();\n    }\n\n}",
+            options: [{ ClassDeclaration: "always", MethodDefinition: "never" }],
+            parserOptions: { ecmaVersion: 6 },
+            errors: [
+                { message: format("missingAfterOpening", "class"), type: "ClassDeclaration", line: 1 },
+                { message: format("unexpectedAfterOpening", "method"), type: "MethodDefinition", line: 2 },
+                { message: format("unexpectedBeforeClosing", "method"), type: "MethodDefinition", line: 6 },
+                { message: format("missingBeforeClosing", "class"), type: "ClassDeclaration", line: 7 }
+            ]
+        },
+
+        // multi-line headers
+        {
+            code: "if (a &&\n    b) {\n    c();\n}",
+            output: "if (a &&\n    b) {\n\n    c();\n}",
+            options: ["never", { multilineHeader: "always" }],
+            errors: [{ message: format("missingAfterOpening", "'if' statement"), type: "IfStatement", line: 2 }]
+        },
+        {
+            code: "if (a &&\n    b)\n{\n\n    c();\n}",
+            output: "if (a &&\n    b)\n{\n    c();\n}",
+            options: ["never", { multilineHeader: "always" }],
+            errors: [{ message: format("unexpectedAfterOpening", "'if' statement"), type: "IfStatement", line: 3 }]
+        },
+        {
+            code: "if (a &&\n    b)\n{\n    c();\n}",
+            output: "if (a &&\n    b)\n{\n    c();\n\n}",
+            options: ["always", { multilineHeader: "always" }],
+            errors: [{ message: format("missingBeforeClosing", "'if' statement"), type: "IfStatement", line: 5 }]
+        },
+        {
+            code: "if (a &&\n    b) {\n\n    c();\n\n}",
+            output: "if (a &&\n    b) {\n    c();\n\n}",
+            options: ["always", { multilineHeader: "never" }],
+            errors: [{ message: format("unexpectedAfterOpening", "'if' statement"), type: "IfStatement" }]
+        },
+
+        // blocks and labels
+        {
+            code: "function foo() {\n    {\n\n        a();\n    }\n}",
+            output: "function foo() {\n    {\n        a();\n    }\n}",
+            errors: [{ message: format("unexpectedAfterOpening", "block"), type: "BlockStatement", line: 2 }]
+        },
+        {
+            code: "outer: {\n    break outer;\n}",
+            output: "outer: {\n\n    break outer;\n\n}",
+            options: [{ LabeledStatement: "always" }],
+            errors: [
+                { message: format("missingAfterOpening", "labeled block"), type: "LabeledStatement" },
+                { message: format("missingBeforeClosing", "labeled block"), type: "LabeledStatement" }
+            ]
+        },
+
+        // typescript
+        {
+            code: "interface Foo {\n\n    a: string;\n}",
+            output: "interface Foo {\n    a: string;\n}",
+            parser: typescriptParser,
+            errors: [{ message: format("unexpectedAfterOpening", "interface"), type: "TSInterfaceBody" }]
+        },
+        {
+            code: "enum Foo {\n    A\n\n}",
+            output: "enum Foo {\n    A\n}",
+            parser: typescriptParser,
+            errors: [{ message: format("unexpectedBeforeClosing", "enum"), type: "TSEnumDeclaration" }]
+        }
+    ]
+});
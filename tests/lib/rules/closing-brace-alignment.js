@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Rule to align the closing brace of a block with the line
+ * which opens it.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require("../../../lib/rules/closing-brace-alignment"),
+    RuleTester = require("eslint").RuleTester;
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var messages = rule.meta.messages;
+
+function statementMessage(construct) {
+    return messages.misalignedWithStatement.replace("{{construct}}", construct);
+}
+
+function braceMessage(construct) {
+    return messages.misalignedWithOpeningBrace.replace("{{construct}}", construct);
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+var ruleTester = new RuleTester();
+
+// the pinned espree cannot parse class static blocks
+var modernParser = require.resolve("espree");
+
+var typescriptParser = require.resolve("@typescript-eslint/parser");
+
+ruleTester.run("closing-brace-alignment", rule, {
+    valid: [
+        "function foo() {\n    bar();\n}",
+        "if (a) {\n    b();\n} else if (c) {\n    d();\n} else {\n    e();\n}",
+        "if (a) {\n    b();\n}\nelse {\n    c();\n}",
+        "if (a &&\n    b) {\n    c();\n}",
+        "if (a) { b(); }",
+        "if (a) {\n    b(); }",
+        "try {\n    a();\n} catch (e) {\n    b();\n} finally {\n    c();\n}",
+        "do {\n    a();\n} while (b);",
+        "switch (a) {\n    case 1: {\n        b();\n    }\n}",
+        "switch (a) {}",
+        "foo(function() {\n    bar();\n}, function() {\n    baz();\n});",
+        "foo\n    .bar(function() {\n        baz();\n    });",
+        "var foo = {\n    bar: function() {\n    }\n};",
+        "\tif (a) {\n\t\tb();\n\t}",
+        { code: "class Foo {\n    bar() {\n    }\n}", parserOptions: { ecmaVersion: 6 } },
+        { code: "var foo = () => {\n};", parserOptions: { ecmaVersion: 6 } },
+        { code: "class Foo {\n    static {\n    }\n}", parser: modernParser, parserOptions: { ecmaVersion: 2022 } },
+
+        // braces on their own line
+        { code: "function foo()\n{\n    bar();\n}", options: ["allman"] },
+        { code: "if (a)\n    {\n    b();\n    }\nelse\n    {\n    c();\n    }", options: ["whitesmiths"] },
+        { code: "if (a)\n  {\n    b();\n  }", options: ["gnu"] },
+        { code: "if (a)\n{   b();\n    c();\n}", options: ["horstmann"] },
+        { code: "if (a &&\n    b)\n{\n    c();\n}", options: ["allman"] },
+
+        // ratliff
+        { code: "if (a) {\n    b();\n    }", options: ["ratliff"] },
+        { code: "if (a) {\n    b();\n    }", options: ["1tbs", { braceIndent: "ratliff" }] },
+
+        // ignored block types
+        { code: "function foo() {\n    }", options: [{ IfStatement: "always" }] },
+        { code: "if (a) {\n    }", options: [{ IfStatement: "ignore", FunctionDeclaration: "always" }] },
+
+        // blocks and labels
+        "function foo() {\n    {\n        a();\n    }\n    outer: {\n        break outer;\n    }\n}",
+
+        // typescript
+        { code: "interface Foo {\n    a: string;\n}\nenum Bar {\n    A\n}", parser: typescriptParser },
+        { code: "declare namespace Foo.Bar {\n    var a: string;\n}", parser: typescriptParser },
+        { code: "type Foo = {\n    a: string;\n};\nfunction foo(a: {\n    b: string;\n}) {\n}", parser: typescriptParser }
+    ],
+
+    invalid: [
+        {
+            code: "function foo() {\n    bar();\n    }",
+            output: "function foo() {\n    bar();\n}",
+            errors: [{ message: statementMessage("function"), type: "FunctionDeclaration", line: 3, column: 5 }]
+        },
+        {
+            code: "if (a) {\n    b();\n  } else {\n    c();\n  }",
+            output: "if (a) {\n    b();\n} else {\n    c();\n  }",
+            errors: [{ message: statementMessage("'if' statement"), type: "IfStatement", line: 3 }]
+        },
+        {
+            code: "    if (a) {\n        b();\n    }\n    else {\n        c();\n}",
+            output: "    if (a) {\n        b();\n    }\n    else {\n        c();\n    }",
+            errors: [{ message: statementMessage("'else' clause"), type: "IfStatement", line: 6 }]
+        },
+        {
+            code: "if (a) {\n} else if (b) {\n    c();\n    }",
+            output: "if (a) {\n} else if (b) {\n    c();\n}",
+            errors: [{ message: statementMessage("'if' statement"), type: "IfStatement", line: 4 }]
+        },
+        {
+            code: "if (a &&\n    b) {\n    c();\n    }",
+            output: "if (a &&\n    b) {\n    c();\n}",
+            errors: [{ message: statementMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "try {\n    a();\n    } catch (e) {\n    b();\n    } finally {\n    c();\n    }",
+            output: "try {\n    a();\n} catch (e) {\n    b();\n    } finally {\n    c();\n    }",
+            errors: [{ message: statementMessage("'try' statement"), type: "TryStatement", line: 3 }]
+        },
+        {
+            code: "try {\n} catch (e) {\n    b();\n    }\nfinally {\n  }",
+            output: "try {\n} catch (e) {\n    b();\n}\nfinally {\n}",
+            errors: [
+                { message: statementMessage("'catch' clause"), type: "CatchClause", line: 4 },
+                { message: statementMessage("'finally' clause"), type: "TryStatement", line: 6 }
+            ]
+        },
+        {
+            code: "do {\n    a();\n    } while (b);",
+            output: "do {\n    a();\n} while (b);",
+            errors: [{ message: statementMessage("'do-while' loop"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "while (a) {\n    b();\n }\nfor (;;) {\n\t}",
+            output: "while (a) {\n    b();\n}\nfor (;;) {\n}",
+            errors: [
+                { message: statementMessage("'while' loop"), type: "WhileStatement" },
+                { message: statementMessage("'for' loop"), type: "ForStatement" }
+            ]
+        },
+        {
+            code: "switch (a) {\n    case 1: {\n        b();\n        }\n    }",
+            output: "switch (a) {\n    case 1: {\n        b();\n    }\n}",
+            errors: [
+                { message: statementMessage("'case' clause"), type: "SwitchCase", line: 4 },
+                { message: statementMessage("'switch' statement"), type: "SwitchStatement", line: 5 }
+            ]
+        },
+        {
+            code: "foo(function() {\n    bar();\n    });",
+            output: "foo(function() {\n    bar();\n});",
+            errors: [{ message: statementMessage("function"), type: "FunctionExpression" }]
+        },
+        {
+            code: "class Foo {\n    bar() {\n    }\n  }",
+            output: "class Foo {\n    bar() {\n    }\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: statementMessage("class"), type: "ClassDeclaration" }]
+        },
+        {
+            code: "class Foo {\n    bar() {\n}\n}",
+            output: "class Foo {\n    bar() {\n    }\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: statementMessage("method"), type: "MethodDefinition" }]
+        },
+        {
+            code: "var foo = () => {\n    };",
+            output: "var foo = () => {\n};",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: statementMessage("arrow function"), type: "ArrowFunctionExpression" }]
+        },
+        {
+            code: "class Foo {\n    static {\n        }\n}",
+            output: "class Foo {\n    static {\n    }\n}",
+            parser: modernParser,
+            parserOptions: { ecmaVersion: 2022 },
+            errors: [{ message: statementMessage("static block"), type: "StaticBlock" }]
+        },
+        {
+            code: "\tif (a) {\n\t\tb();\n        }",
+            output: "\tif (a) {\n\t\tb();\n\t}",
+            errors: [{ message: statementMessage("'if' statement"), type: "IfStatement" }]
+        },
+
+        // braces on their own line
+        {
+            code: "function foo()\n{\n    bar();\n    }",
+            output: "function foo()\n{\n    bar();\n}",
+            options: ["allman"],
+            errors: [{ message: braceMessage("function"), type: "FunctionDeclaration" }]
+        },
+        {
+            code: "if (a)\n    {\n    b();\n}",
+            output: "if (a)\n    {\n    b();\n    }",
+            options: ["whitesmiths"],
+            errors: [{ message: braceMessage("'if' statement"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a &&\n    b)\n    {\n    c();\n}",
+            output: "if (a &&\n    b)\n    {\n    c();\n    }",
+            errors: [{ message: braceMessage("'if' statement"), type: "IfStatement" }]
+        },
+
+        // ratliff
+        {
+            code: "if (a) {\n    b();\n}",
+            output: "if (a) {\n    b();\n    }",
+            options: ["ratliff"],
+            errors: [{ message: statementMessage("'if' statement"), type: "IfStatement" }]
+        },
+
+        // blocks and labels
+        {
+            code: "switch (a) {\n    case 1:\n        {\n            b();\n        }\n        {\n            c();\n    }\n}",
+            output: "switch (a) {\n    case 1:\n        {\n            b();\n        }\n        {\n            c();\n        }\n}",
+            errors: [{ message: braceMessage("block"), type: "BlockStatement", line: 8 }]
+        },
+        {
+            code: "outer: {\n    break outer;\n  }",
+            output: "outer: {\n    break outer;\n}",
+            errors: [{ message: statementMessage("labeled block"), type: "LabeledStatement" }]
+        },
+
+        // typescript
+        {
+            code: "interface Foo {\n    a: string;\n    }",
+            output: "interface Foo {\n    a: string;\n}",
+            parser: typescriptParser,
+            errors: [{ message: statementMessage("interface"), type: "TSInterfaceBody" }]
+        },
+        {
+            code: "  enum Foo {\n    A\n}",
+            output: "  enum Foo {\n    A\n  }",
+            parser: typescriptParser,
+            errors: [{ message: statementMessage("enum"), type: "TSEnumDeclaration" }]
+        },
+        {
+            code: "declare namespace Foo.Bar {\n    var a: string;\n    }",
+            output: "declare namespace Foo.Bar {\n    var a: string;\n}",
+            parser: typescriptParser,
+            errors: [{ message: statementMessage("namespace"), type: "TSModuleBlock" }]
+        },
+        {
+            code: "type Foo =\n{\n    a: string;\n    };",
+            output: "type Foo =\n{\n    a: string;\n};",
+            parser: typescriptParser,
+            errors: [{ message: braceMessage("type literal"), type: "TSTypeLiteral" }]
+        }
+    ]
+});
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Rules around placement of the braces of object literals,
+ * destructuring patterns and import/export specifier lists.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require("../../../lib/rules/object-brace-on-same-line"),
+    RuleTester = require("eslint").RuleTester;
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var OPEN_BREAK_MESSAGE = "Expected a line break after opening curly brace.",
+    OPEN_NO_BREAK_MESSAGE = "Unexpected line break after opening curly brace.",
+    CLOSE_BREAK_MESSAGE = "Expected a line break before closing curly brace.",
+    CLOSE_NO_BREAK_MESSAGE = "Unexpected line break before closing curly brace.";
+
+function openMessage(token) {
+    return "Opening curly brace does not appear on the same line as '" + token + "'.";
+}
+
+function openMessageNext(token) {
+    return "Opening curly brace appears on the same line as '" + token + "'.";
+}
+
+var moduleOptions = { ecmaVersion: 6, sourceType: "module" };
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+var ruleTester = new RuleTester();
+
+ruleTester.run("object-brace-on-same-line", rule, {
+    valid: [
+        "var foo = {};",
+        "var foo = { a: 1 };",
+        "var foo = {\n    a: 1,\n    b: 2\n};",
+        "foo({\n    a: 1\n});",
+        "foo(a,\n    { b: 1 });",
+        "var foo = [\n    { a: 1 },\n    { b: 2 }\n];",
+        "var foo = {\n};",
+        "function foo() {\n    return\n    {\n        a: 1\n    };\n}",
+        { code: "function foo({ a, b }) {\n}", parserOptions: { ecmaVersion: 6 } },
+        { code: "var {\n    a,\n    b\n} = foo;", parserOptions: { ecmaVersion: 6 } },
+        { code: "import {\n    a,\n    b\n} from \"foo\";", parserOptions: moduleOptions },
+        { code: "import foo, { a } from \"foo\";", parserOptions: moduleOptions },
+        { code: "import * as foo from \"foo\";", parserOptions: moduleOptions },
+        { code: "export {\n    a,\n    b\n};\nvar a, b;", parserOptions: moduleOptions },
+        { code: "export const foo = {\n    a: 1\n};", parserOptions: moduleOptions },
+        { code: "export function foo()\n{\n}", parserOptions: moduleOptions },
+        { code: "export class Foo\n{\n}", parserOptions: moduleOptions },
+        { code: "export { a } from \"foo\";", parserOptions: moduleOptions },
+        { code: "var foo =\n{\n    a: 1\n};", options: ["never"] },
+        { code: "foo(\n{\n    a: 1\n});", options: ["never"] },
+        { code: "import\n{\n    a\n} from \"foo\";", parserOptions: moduleOptions, options: ["never"] },
+        { code: "var foo =\n{\n    a: 1\n};\nvar {\n    b\n} = foo;", parserOptions: { ecmaVersion: 6 }, options: [{ ObjectExpression: "never", ObjectPattern: "always" }] },
+        { code: "var foo =\n{\n    a: 1\n};\nvar bar = {\n    a: 1\n};", options: [{ ObjectExpression: "ignore" }] },
+
+        // multiline
+        { code: "var foo = { a: 1,\n    b: 2 };", options: ["always", { multiline: "never" }] },
+        { code: "var foo = { a: 1,\n    b: 2 };", options: ["always", { multiline: "ignore" }] },
+        { code: "var foo = { a: 1,\n    b: 2 };\nvar bar = {\n    a: 1\n};", options: ["always", { multiline: "consistent" }] },
+
+        // consistent
+        { code: "var foo =\n{\n    a: 1\n};\nvar bar =\n{\n    a: 1\n};\nvar {\n    a\n} = foo;", parserOptions: { ecmaVersion: 6 }, options: ["consistent"] }
+    ],
+
+    invalid: [
+        {
+            code: "var foo =\n{\n    a: 1\n};",
+            output: "var foo = {\n    a: 1\n};",
+            errors: [{ message: openMessage("="), type: "ObjectExpression" }]
+        },
+        {
+            code: "foo(\n{\n    a: 1\n});",
+            output: "foo({\n    a: 1\n});",
+            errors: [{ message: openMessage("("), type: "ObjectExpression" }]
+        },
+        {
+            code: "var foo = // why\n{\n    a: 1\n};",
+            output: "var foo = // why\n{\n    a: 1\n};",
+            errors: [{ message: openMessage("="), type: "ObjectExpression" }]
+        },
+        {
+            code: "function foo(\n{ a }) {\n}",
+            output: "function foo({ a }) {\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("("), type: "ObjectPattern" }]
+        },
+        {
+            code: "var\n{ a } = foo;",
+            output: "var { a } = foo;",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: openMessage("var"), type: "ObjectPattern" }]
+        },
+        {
+            code: "import\n{ a } from \"foo\";",
+            output: "import { a } from \"foo\";",
+            parserOptions: moduleOptions,
+            errors: [{ message: openMessage("import"), type: "ImportDeclaration" }]
+        },
+        {
+            code: "export\n{ a };\nvar a;",
+            output: "export { a };\nvar a;",
+            parserOptions: moduleOptions,
+            errors: [{ message: openMessage("export"), type: "ExportNamedDeclaration" }]
+        },
+        {
+            code: "export const foo = { a: 1,\n    b: 2 };",
+            output: "export const foo = {\n    a: 1,\n    b: 2\n};",
+            parserOptions: moduleOptions,
+            errors: [
+                { message: OPEN_BREAK_MESSAGE, type: "ObjectExpression", line: 1 },
+                { message: CLOSE_BREAK_MESSAGE, type: "ObjectExpression", line: 2 }
+            ]
+        },
+        {
+            code: "    var foo = {\n        a: 1\n    };",
+            output: "    var foo =\n    {\n        a: 1\n    };",
+            options: ["never"],
+            errors: [{ message: openMessageNext("="), type: "ObjectExpression" }]
+        },
+        {
+            code: "import {\n    a\n} from \"foo\";",
+            output: "import\n{\n    a\n} from \"foo\";",
+            parserOptions: moduleOptions,
+            options: [{ ImportDeclaration: "never" }],
+            errors: [{ message: openMessageNext("import"), type: "ImportDeclaration" }]
+        },
+
+        // multiline
+        {
+            code: "var foo = { a: 1,\n    b: 2 };",
+            output: "var foo = {\n    a: 1,\n    b: 2\n};",
+            errors: [
+                { message: OPEN_BREAK_MESSAGE, type: "ObjectExpression", line: 1 },
+                { message: CLOSE_BREAK_MESSAGE, type: "ObjectExpression", line: 2 }
+            ]
+        },
+        {
+            code: "\tvar { a,\n\t\tb } = foo;",
+            output: "\tvar {\n\t\ta,\n\t\tb\n\t} = foo;",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [
+                { message: OPEN_BREAK_MESSAGE, type: "ObjectPattern", line: 1 },
+                { message: CLOSE_BREAK_MESSAGE, type: "ObjectPattern", line: 2 }
+            ]
+        },
+        {
+            code: "import { a,\n    b } from \"foo\";",
+            output: "import {\n    a,\n    b\n} from \"foo\";",
+            parserOptions: moduleOptions,
+            errors: [
+                { message: OPEN_BREAK_MESSAGE, type: "ImportDeclaration", line: 1 },
+                { message: CLOSE_BREAK_MESSAGE, type: "ImportDeclaration", line: 2 }
+            ]
+        },
+        {
+            code: "var foo = {\n    a: 1,\n    b: 2\n};",
+            output: "var foo = { a: 1,\n    b: 2 };",
+            options: ["always", { multiline: "never" }],
+            errors: [
+                { message: OPEN_NO_BREAK_MESSAGE, type: "ObjectExpression", line: 1 },
+                { message: CLOSE_NO_BREAK_MESSAGE, type: "ObjectExpression", line: 4 }
+            ]
+        },
+        {
+            code: "var foo = { // why\n    a: 1 };",
+            output: "var foo = { // why\n    a: 1 };",
+            options: ["always", { multiline: "never" }],
+            errors: [{ message: OPEN_NO_BREAK_MESSAGE, type: "ObjectExpression", line: 1 }]
+        },
+        {
+            code: "var foo = {\n    a: 1,\n    b: 2 };\nvar bar = { a: 1,\n    b: 2\n};",
+            output: "var foo = {\n    a: 1,\n    b: 2\n};\nvar bar = { a: 1,\n    b: 2 };",
+            options: ["always", { multiline: "consistent" }],
+            errors: [
+                { message: CLOSE_BREAK_MESSAGE, type: "ObjectExpression", line: 3 },
+                { message: CLOSE_NO_BREAK_MESSAGE, type: "ObjectExpression", line: 6 }
+            ]
+        },
+
+        // consistent
+        {
+            code: "var foo =\n{\n    a: 1\n};\nvar bar =\n{\n    a: 1\n};\nvar baz = {\n    a: 1\n};",
+            output: "var foo =\n{\n    a: 1\n};\nvar bar =\n{\n    a: 1\n};\nvar baz =\n{\n    a: 1\n};",
+            options: ["consistent"],
+            errors: [{ message: openMessageNext("="), type: "ObjectExpression", line: 9 }]
+        },
+        {
+            code: "var foo = {\n    a: 1\n};\nvar bar = {\n    a: 1\n};\nvar baz =\n{\n    a: 1\n};",
+            output: "var foo = {\n    a: 1\n};\nvar bar = {\n    a: 1\n};\nvar baz = {\n    a: 1\n};",
+            options: ["consistent"],
+            errors: [{ message: openMessage("="), type: "ObjectExpression", line: 8 }]
+        }
+    ]
+});
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Rule requiring curly braces around the bodies of control
+ * statements, placed according to the configured brace style.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var rule = require("../../../lib/rules/require-braces"),
+    RuleTester = require("eslint").RuleTester;
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+function missing(name) {
+    return "Expected curly braces around the body of '" + name + "'.";
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+var ruleTester = new RuleTester();
+
+ruleTester.run("require-braces", rule, {
+    valid: [
+        "if (a) {\n    b();\n}",
+        "if (a) {\n    b();\n} else if (c) {\n    d();\n} else {\n    e();\n}",
+        "while (a) {\n}",
+        "while (a);",
+        "for (;;) {\n    b();\n}",
+        "do {\n    b();\n} while (a);",
+        { code: "for (var a of b) {\n    c();\n}", parserOptions: { ecmaVersion: 6 } },
+
+        // multi-or-nest
+        { code: "if (a) b();", options: ["multi-or-nest"] },
+        { code: "if (a)\n    b();\nelse\n    c();", options: ["multi-or-nest"] },
+        { code: "while (a) b();", options: ["multi-or-nest"] },
+        { code: "if (a) {\n    b();\n}", options: ["multi-or-nest"] },
+        { code: "if (a) {\n    b();\n} else c();", options: ["multi-or-nest"] },
+        { code: "if (a) b();\nelse if (c) d();\nelse e();", options: ["multi-or-nest", "1tbs", { consistent: true }] }
+    ],
+
+    invalid: [
+        {
+            code: "if (a) b();",
+            output: "if (a) {\n    b();\n}",
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a)\n    b();\nelse\n    c();",
+            output: "if (a) {\n    b();\n} else {\n    c();\n}",
+            errors: [
+                { message: missing("if"), type: "IfStatement", line: 2 },
+                { message: missing("else"), type: "IfStatement", line: 4 }
+            ]
+        },
+        {
+            code: "if (a) {\n    b();\n} else if (c) d();\nelse e();",
+            output: "if (a) {\n    b();\n} else if (c) {\n    d();\n} else {\n    e();\n}",
+            errors: [
+                { message: missing("if"), type: "IfStatement", line: 3 },
+                { message: missing("else"), type: "IfStatement", line: 4 }
+            ]
+        },
+        {
+            code: "while (a) b();",
+            output: "while (a) {\n    b();\n}",
+            errors: [{ message: missing("while"), type: "WhileStatement" }]
+        },
+        {
+            code: "do b(); while (a);",
+            output: "do {\n    b();\n} while (a);",
+            errors: [{ message: missing("do"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "do\n    b();\nwhile (a);",
+            output: "do\n{\n    b();\n}\nwhile (a);",
+            options: ["all", "allman"],
+            errors: [{ message: missing("do"), type: "DoWhileStatement" }]
+        },
+        {
+            code: "for (var a in b) c();",
+            output: "for (var a in b) {\n    c();\n}",
+            errors: [{ message: missing("for-in"), type: "ForInStatement" }]
+        },
+        {
+            code: "for (var a of b) c();",
+            output: "for (var a of b) {\n    c();\n}",
+            parserOptions: { ecmaVersion: 6 },
+            errors: [{ message: missing("for-of"), type: "ForOfStatement" }]
+        },
+        {
+            code: "with (a) b();",
+            output: "with (a) {\n    b();\n}",
+            errors: [{ message: missing("with"), type: "WithStatement" }]
+        },
+        {
+            code: "function foo() {\n\tfor (;;)\n\t\tb();\n}",
+            output: "function foo() {\n\tfor (;;) {\n\t\tb();\n\t}\n}",
+            errors: [{ message: missing("for"), type: "ForStatement" }]
+        },
+        {
+            code: "if (a) foo(function() {\n    b();\n});",
+            output: "if (a) {\n    foo(function() {\n        b();\n    });\n}",
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) // why\n    b();",
+            output: "if (a) // why\n    b();",
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) // why\n    // because\n    b();",
+            output: "if (a) // why\n    // because\n    b();",
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) b();",
+            output: "if (a) { b(); }",
+            options: ["all", "1tbs", { allowSingleLine: true }],
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) b();\nwhile (a) b();\nif (a) bbbbbbbbbbbbbbbb();",
+            output: "if (a) { b(); }\nwhile (a) {\n    b();\n}\nif (a) {\n    bbbbbbbbbbbbbbbb();\n}",
+            options: ["all", "1tbs", { allowSingleLine: { IfStatement: true, maxLength: 20 } }],
+            errors: [
+                { message: missing("if"), type: "IfStatement" },
+                { message: missing("while"), type: "WhileStatement" },
+                { message: missing("if"), type: "IfStatement" }
+            ]
+        },
+
+        // styles
+        {
+            code: "if (a) b();\nelse c();",
+            output: "if (a)\n{\n    b();\n}\nelse\n{\n    c();\n}",
+            options: ["all", "allman"],
+            errors: [
+                { message: missing("if"), type: "IfStatement" },
+                { message: missing("else"), type: "IfStatement" }
+            ]
+        },
+        {
+            code: "if (a) b();\nelse c();",
+            output: "if (a) {\n    b();\n}\nelse {\n    c();\n}",
+            options: ["all", "stroustrup"],
+            errors: [
+                { message: missing("if"), type: "IfStatement" },
+                { message: missing("else"), type: "IfStatement" }
+            ]
+        },
+        {
+            code: "if (a)\n    b();",
+            output: "if (a)\n    {\n    b();\n    }",
+            options: ["all", "whitesmiths"],
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "while (a)\n    b();",
+            output: "while (a)\n  {\n    b();\n  }",
+            options: ["all", "gnu", { indent: 4 }],
+            errors: [{ message: missing("while"), type: "WhileStatement" }]
+        },
+        {
+            code: "if (a)\n    b();",
+            output: "if (a)\n{   b();\n}",
+            options: ["all", "horstmann"],
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a)\n    b();",
+            output: "if (a) {\n    b();\n    }",
+            options: ["all", "ratliff"],
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a &&\n    b)\n    c();",
+            output: "if (a &&\n    b)\n{\n    c();\n}",
+            options: ["all", "1tbs", { multilineHeader: "never" }],
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+
+        // multi-or-nest
+        {
+            code: "if (a)\n    foo(function() {\n        b();\n    });",
+            output: "if (a) {\n    foo(function() {\n        b();\n    });\n}",
+            options: ["multi-or-nest"],
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) for (;;) b();",
+            output: "if (a) {\n    for (;;) b();\n}",
+            options: ["multi-or-nest"],
+            errors: [{ message: missing("if"), type: "IfStatement" }]
+        },
+        {
+            code: "if (a) {\n    b();\n} else c();",
+            output: "if (a) {\n    b();\n} else {\n    c();\n}",
+            options: ["multi-or-nest", "1tbs", { consistent: true }],
+            errors: [{ message: missing("else"), type: "IfStatement", line: 3 }]
+        },
+        {
+            code: "if (a) b();\nelse if (c) {\n    d();\n}\nelse e();",
+            output: "if (a) {\n    b();\n}\nelse if (c) {\n    d();\n}\nelse {\n    e();\n}",
+            options: ["multi-or-nest", "stroustrup", { consistent: true }],
+            errors: [
+                { message: missing("if"), type: "IfStatement", line: 1 },
+                { message: missing("else"), type: "IfStatement", line: 5 }
+            ]
+        }
+    ]
+});
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tests which run the plugin on ESLint 9, installed as
+ * `eslint-9` beside the pinned ESLint 2.x, through its flat config API.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert"),
+    Module = require("module"),
+    path = require("path");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+var LIB = path.resolve(__dirname, "../../../lib") + path.sep;
+
+/**
+ * Runs a function while the plugin's modules resolve `eslint` to ESLint 9.
+ * The modules are loaded afresh, and the ones loaded before are restored
+ * afterwards, so that the other tests keep the pinned ESLint.
+ * @param {Function} callback Called with a function which requires a module
+ *      of lib, such as `"utils/compat"`.
+ * @returns {*} The result of the callback.
+ */
+function withEslint9(callback) {
+    var load = Module._load,
+        cached = {};
+
+    Object.keys(require.cache).forEach(function(file) {
+        if (file.indexOf(LIB) === 0) {
+            cached[file] = require.cache[file];
+            delete require.cache[file];
+        }
+    });
+
+    // Node caches where a module's requests resolve to before it resolves
+    // them again, so the requests are renamed as they are loaded
+    Module._load = function(request, parent) {
+        var args = Array.prototype.slice.call(arguments);
+
+        if (parent && parent.filename && parent.filename.indexOf(LIB) === 0 && /^eslint(\/|$)/.test(request)) {
+            args[0] = request.replace(/^eslint/, "eslint-9");
+        }
+
+        return load.apply(this, args);
+    };
+
+    try {
+        return callback(function(name) {
+            return require(LIB + name);
+        });
+    } finally {
+        Module._load = load;
+
+        Object.keys(require.cache).forEach(function(file) {
+            if (file.indexOf(LIB) === 0) {
+                delete require.cache[file];
+            }
+        });
+        Object.keys(cached).forEach(function(file) {
+            require.cache[file] = cached[file];
+        });
+    }
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("compat on ESLint 9", function() {
+    var plugin, verify;
+
+    before(function() {
+        withEslint9(function(requireLib) {
+            plugin = requireLib("index");
+            verify = requireLib("utils/compat").createLinter(plugin.rules);
+        });
+    });
+
+    it("should lint through the flat config and report with messageIds", function() {
+        var messages = verify("if (a)\n{\n}", { "brace-rules/brace-on-same-line": [2, "1tbs"] }, { ecmaVersion: 2022 });
+
+        assert.equal(messages.length, 1);
+        assert.equal(messages[0].ruleId, "brace-rules/brace-on-same-line");
+        assert.equal(messages[0].messageId, "missingOpeningSameLine");
+        assert.equal(messages[0].message, "Opening brace of 'if' statement does not appear on the same line as controlling statement.");
+        assert.deepEqual(messages[0].fix, { range: [6, 7], text: " " });
+    });
+
+    it("should reject block types the rules do not know", function() {
+        assert.throws(function() {
+            verify("a;", { "brace-rules/brace-on-same-line": [2, { IfStatment: "always" }] }, { ecmaVersion: 2022 });
+        }, /brace-rules\/brace-on-same-line/);
+
+        assert.throws(function() {
+            verify("a;", { "brace-rules/brace-padding": [2, { IfStatment: "always" }] }, { ecmaVersion: 2022 });
+        }, /brace-rules\/brace-padding/);
+    });
+
+    it("should offer fixes which move comments as suggestions", function() {
+        var messages = verify("if (a) // why\n{\n}", { "brace-rules/brace-on-same-line": [2, "1tbs"] }, { ecmaVersion: 2022 });
+
+        assert.equal(messages.length, 1);
+        assert.equal(messages[0].fix, undefined);
+        assert.equal(messages[0].suggestions.length, 1);
+        assert.equal(messages[0].suggestions[0].messageId, "moveAcrossComments");
+        assert.deepEqual(messages[0].suggestions[0].fix, { range: [6, 15], text: " { // why" });
+    });
+
+    it("should convert and count the changes by block type", function() {
+        // the linter is created on the first conversion
+        var result = withEslint9(function(requireLib) {
+            return requireLib("convert")("function foo() { if (a) { b(); } }\n", { style: "allman" });
+        });
+
+        assert.equal(result.output, "function foo()\n{\n    if (a)\n    {\n        b();\n    }\n}\n");
+        assert.deepEqual(result.changes, { FunctionDeclaration: 3, IfStatement: 3 });
+    });
+
+    it("should run the flat configs and the processors", function() {
+        var Linter = require("eslint-9").Linter,
+            messages = new Linter().verify("```js\nif (a) b();\nelse\n{\n    c();\n}\n```\n", [
+                plugin.configs["flat/recommended"],
+                { files: ["**/*.md"], processor: plugin.processors.markdown }
+            ], "a.md");
+
+        assert.deepEqual(messages.map(function(message) {
+            return message.ruleId + ":" + message.line;
+        }), ["brace-rules/brace-on-same-line:2", "brace-rules/require-braces:2"]);
+    });
+});
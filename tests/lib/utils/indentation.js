@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tests for the indentation helpers.
+ * @author Joshua Searles
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+var assert = require("assert"),
+    createIndentation = require("../../../lib/utils/indentation");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+function fromCode(code, option) {
+    return createIndentation({ lines: code.split("\n") }, option);
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("indentation", function() {
+    describe("unit", function() {
+        it("should detect tabs", function() {
+            assert.equal(fromCode("if (a) {\n\tb();\n\tif (c) {\n\t\td();\n\t}\n}").unit, "\t");
+        });
+
+        it("should detect the most common increase in spaces", function() {
+            assert.equal(fromCode("if (a) {\n  b();\n  if (c) {\n    d();\n  }\n}").unit, "  ");
+        });
+
+        it("should ignore the continuation lines of block comments", function() {
+            assert.equal(fromCode("/**\n * foo\n * bar\n */\nif (a) {\n    b();\n}").unit, "    ");
+        });
+
+        it("should default to four spaces", function() {
+            assert.equal(fromCode("a();").unit, "    ");
+        });
+
+        it("should prefer the configured indentation", function() {
+            assert.equal(fromCode("if (a) {\n  b();\n}", "tab").unit, "\t");
+            assert.equal(fromCode("if (a) {\n\tb();\n}", 3).unit, "   ");
+        });
+    });
+
+    describe("normalize", function() {
+        it("should convert spaces to tabs", function() {
+            assert.equal(fromCode("", "tab").normalize("        "), "\t\t");
+        });
+
+        it("should keep partial levels as spaces", function() {
+            assert.equal(fromCode("", "tab").normalize("      "), "\t  ");
+        });
+
+        it("should convert tabs to spaces", function() {
+            assert.equal(fromCode("", 2).normalize("\t"), "  ");
+        });
+    });
+
+    describe("nest", function() {
+        it("should add a level of indentation", function() {
+            assert.equal(fromCode("", "tab").nest("\t"), "\t\t");
+            assert.equal(fromCode("", 4).nest("    ", 2), "            ");
+        });
+
+        it("should add half a level of indentation", function() {
+            assert.equal(fromCode("", 4).nestHalf("    "), "      ");
+            assert.equal(fromCode("while (a)\n  {\n    b();\n  }").nestHalf(""), "  ");
+        });
+    });
+
+    describe("horstmannSeparator", function() {
+        it("should count the brace as a column of the indentation", function() {
+            assert.equal(fromCode("", 4).horstmannSeparator(), "   ");
+            assert.equal(fromCode("", 2).horstmannSeparator(), " ");
+            assert.equal(fromCode("", 1).horstmannSeparator(), " ");
+            assert.equal(fromCode("", "tab").horstmannSeparator(), "\t");
+        });
+    });
+});